@@ -1,7 +1,7 @@
-import { execSync } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 import chalk from 'chalk';
+import { Option } from 'commander';
 import inquirer from 'inquirer';
 import isGitRepository from './utils/isGitRepository.js';
 import getGitRootDirectory from './utils/getGitRootDirectory.js';
@@ -10,27 +10,64 @@ import getExistingBranches from './utils/getExistingBranches.js';
 import getWorktrees from './utils/getWorktrees.js';
 import validateBranchName from './utils/validateBranchName.js';
 import setTerminalTabName from './utils/setTerminalTabName.js';
+import loadConfig from './utils/loadConfig.js';
+import getWorktreePath from './utils/getWorktreePath.js';
+import addWorktree, { planWorktree } from './utils/addWorktree.js';
+import launchEditor from './utils/launchEditor.js';
+import { getLauncher } from './utils/launchers.js';
+import resolveSessionOptions from './utils/resolveSessionOptions.js';
+import getLocalBranches from './utils/getLocalBranches.js';
+import getMainBranch from './utils/getMainBranch.js';
+import resolveBaseRef from './utils/resolveBaseRef.js';
+import bootstrapWorktree from './utils/bootstrapWorktree.js';
+import { DEFAULT_SHARE_STRATEGY, DEPENDENCY_STRATEGIES } from './utils/shareDependencies.js';
+import { setupWorktreeEnv } from './utils/worktreeEnv.js';
+import { readRegistry, recordWorktree } from './utils/registry.js';
+import truncate from './utils/truncate.js';
+import generateBranchName from './utils/generateBranchName.js';
+import { git } from './utils/run.js';
+import shellQuote from './utils/shellQuote.js';
+
+const OTHER_BASE_REF = '__other__';
 
 function worktreeExists(worktreePath) {
   return fs.existsSync(worktreePath);
 }
 
+function writeWorktreeEnv(branchName, worktreePath, config) {
+  try {
+    const env = setupWorktreeEnv(branchName, worktreePath, config);
+    if (env) {
+      console.log(
+        chalk.gray(
+          `Ports ${env.SPAWN_PORT_START}-${env.SPAWN_PORT_END} reserved, variables written to ${config.environment.file}`
+        )
+      );
+    }
+  } catch (error) {
+    console.error(
+      chalk.yellow(`Warning: Could not set up the worktree environment: ${error.message}`)
+    );
+  }
+}
+
 async function createWorktree(branchName, options) {
   if (!isGitRepository()) {
     console.error(chalk.red('Error: Not in a git repository'));
     process.exit(1);
   }
 
-  const gitRoot = getGitRootDirectory();
-  if (!gitRoot) {
-    console.error(chalk.red('Error: Could not determine git root directory'));
+  // Validate the base ref before touching anything
+  let plan;
+  try {
+    plan = planWorktree(branchName, options);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    console.log(chalk.yellow('Tip: Use git fetch to update remote branches'));
     process.exit(1);
   }
-
-  const repoName = path.basename(gitRoot);
-  const parentDir = path.dirname(gitRoot);
-  const worktreeName = `${repoName}-${branchName}`;
-  const worktreePath = path.join(parentDir, worktreeName);
+  const { gitRoot, worktreePath, baseRef } = plan;
+  branchName = plan.branchName;
 
   // Check if worktree already exists
   if (worktreeExists(worktreePath)) {
@@ -49,9 +86,7 @@ async function createWorktree(branchName, options) {
     }
 
     console.log(chalk.yellow('Removing existing worktree...'));
-    try {
-      execSync(`git worktree remove "${worktreePath}" --force`, { stdio: 'inherit' });
-    } catch {
+    if (!git(['worktree', 'remove', worktreePath, '--force'], { stdio: 'inherit' }).ok) {
       console.error(chalk.red('Failed to remove existing worktree'));
       process.exit(1);
     }
@@ -60,14 +95,18 @@ async function createWorktree(branchName, options) {
   console.log(chalk.blue(`\nCreating worktree for branch '${branchName}'...`));
   console.log(chalk.gray(`Repository: ${gitRoot}`));
   console.log(chalk.gray(`Worktree path: ${worktreePath}`));
+  if (baseRef) {
+    console.log(chalk.gray(`Base: ${baseRef.ref} (${baseRef.commit.substring(0, 7)})`));
+  }
 
   try {
-    process.chdir(parentDir);
-
-    const gitWorktreeCommand = `git -C "${gitRoot}" worktree add "${worktreePath}" -b "${branchName}"`;
-    console.log(chalk.gray(`Running: ${gitWorktreeCommand}`));
-
-    execSync(gitWorktreeCommand, { stdio: 'inherit' });
+    addWorktree(plan);
+    recordWorktree(branchName, {
+      path: worktreePath,
+      prompt: options.prompt,
+      editor: options.editor,
+      base: baseRef ? baseRef.ref : getCurrentBranch(),
+    });
 
     console.log(chalk.green(`\n✅ Worktree created successfully!`));
     console.log(chalk.blue(`Changing to worktree directory: ${worktreePath}`));
@@ -77,33 +116,13 @@ async function createWorktree(branchName, options) {
     // Set terminal tab name to the branch name
     setTerminalTabName(branchName);
 
-    // Launch editor if not disabled
-    if (!options.noEditor) {
-      const editor = options.editor || 'claude';
-      console.log(chalk.blue(`\nLaunching ${editor}...`));
-      try {
-        let command = editor;
-        if (editor === 'claude') {
-          // Build Claude command with options
-          if (options.dangerouslySkipPermissions) {
-            command += ' --dangerously-skip-permissions';
-          }
-          if (options.prompt) {
-            command += ` "${options.prompt}"`;
-          }
-        } else if (options.prompt) {
-          // For other editors, they might not support prompts but we'll pass it anyway
-          command = `${editor} "${options.prompt}"`;
-        }
-        execSync(command, { stdio: 'inherit', shell: true });
-      } catch {
-        console.error(
-          chalk.yellow(
-            `Warning: Could not launch ${editor}. Make sure it's installed and in your PATH.`
-          )
-        );
-      }
+    writeWorktreeEnv(branchName, worktreePath, options.config);
+
+    if (options.bootstrap !== false) {
+      bootstrapWorktree(worktreePath, options.config);
     }
+
+    launchEditor(options);
   } catch (error) {
     console.error(chalk.red(`\nError creating worktree: ${error.message}`));
     process.exit(1);
@@ -136,23 +155,27 @@ async function switchToWorktree(worktreePath, branchName, options = {}) {
     try {
       // First, remove the missing worktree registration
       console.log(chalk.gray('Removing stale worktree registration...'));
-      try {
-        execSync(`git worktree remove "${worktreePath}" --force`, { stdio: 'pipe' });
-      } catch {
-        // If remove fails, try prune
-        try {
-          execSync('git worktree prune', { stdio: 'pipe' });
-        } catch {
-          // Ignore prune errors
-        }
+      if (!git(['worktree', 'remove', worktreePath, '--force']).ok) {
+        // If remove fails, try prune; prune errors are ignored
+        git(['worktree', 'prune']);
       }
 
       process.chdir(parentDir);
-      const gitWorktreeCommand = `git -C "${gitRoot}" worktree add "${worktreePath}" "${branchName}"`;
-      console.log(chalk.gray(`Running: ${gitWorktreeCommand}`));
+      const args = ['-C', gitRoot, 'worktree', 'add', worktreePath, branchName];
+      console.log(chalk.gray(`Running: git ${args.map(shellQuote).join(' ')}`));
 
-      execSync(gitWorktreeCommand, { stdio: 'inherit' });
+      const result = git(args, { stdio: 'inherit' });
+      if (!result.ok) {
+        throw new Error(`git worktree add exited with code ${result.exitCode}`);
+      }
       console.log(chalk.green(`✅ Worktree recreated successfully!`));
+
+      if (options.config) {
+        writeWorktreeEnv(branchName, worktreePath, options.config);
+      }
+      if (options.bootstrap !== false && options.config) {
+        bootstrapWorktree(worktreePath, options.config);
+      }
     } catch (error) {
       console.error(chalk.red(`Failed to recreate worktree: ${error.message}`));
       process.exit(1);
@@ -168,33 +191,7 @@ async function switchToWorktree(worktreePath, branchName, options = {}) {
       setTerminalTabName(branchName.replace('refs/heads/', ''));
     }
 
-    // Launch editor if not disabled
-    if (!options.noEditor) {
-      const editor = options.editor || 'claude';
-      console.log(chalk.blue(`\nLaunching ${editor}...`));
-      try {
-        let command = editor;
-        if (editor === 'claude') {
-          // Build Claude command with options
-          if (options.dangerouslySkipPermissions) {
-            command += ' --dangerously-skip-permissions';
-          }
-          if (options.prompt) {
-            command += ` "${options.prompt}"`;
-          }
-        } else if (options.prompt) {
-          // For other editors, they might not support prompts but we'll pass it anyway
-          command = `${editor} "${options.prompt}"`;
-        }
-        execSync(command, { stdio: 'inherit', shell: true });
-      } catch {
-        console.error(
-          chalk.yellow(
-            `Warning: Could not launch ${editor}. Make sure it's installed and in your PATH.`
-          )
-        );
-      }
-    }
+    launchEditor(options);
   } catch (error) {
     console.error(chalk.red(`Error switching to worktree: ${error.message}`));
     process.exit(1);
@@ -213,10 +210,8 @@ async function createWorktreeForExistingBranch(branchName, options) {
     process.exit(1);
   }
 
-  const repoName = path.basename(gitRoot);
-  const parentDir = path.dirname(gitRoot);
-  const worktreeName = `${repoName}-${branchName}`;
-  const worktreePath = path.join(parentDir, worktreeName);
+  const worktreePath = getWorktreePath(gitRoot, branchName, options.config);
+  const parentDir = path.dirname(worktreePath);
 
   // Check if worktree already exists
   if (worktreeExists(worktreePath)) {
@@ -235,9 +230,7 @@ async function createWorktreeForExistingBranch(branchName, options) {
     }
 
     console.log(chalk.yellow('Removing existing worktree...'));
-    try {
-      execSync(`git worktree remove "${worktreePath}" --force`, { stdio: 'inherit' });
-    } catch {
+    if (!git(['worktree', 'remove', worktreePath, '--force'], { stdio: 'inherit' }).ok) {
       console.error(chalk.red('Failed to remove existing worktree'));
       process.exit(1);
     }
@@ -248,13 +241,23 @@ async function createWorktreeForExistingBranch(branchName, options) {
   console.log(chalk.gray(`Worktree path: ${worktreePath}`));
 
   try {
+    fs.mkdirSync(parentDir, { recursive: true });
     process.chdir(parentDir);
 
     // For existing branches, we don't use -b flag
-    const gitWorktreeCommand = `git -C "${gitRoot}" worktree add "${worktreePath}" "${branchName}"`;
-    console.log(chalk.gray(`Running: ${gitWorktreeCommand}`));
+    const args = ['-C', gitRoot, 'worktree', 'add', worktreePath, branchName];
+    console.log(chalk.gray(`Running: git ${args.map(shellQuote).join(' ')}`));
 
-    execSync(gitWorktreeCommand, { stdio: 'inherit' });
+    const result = git(args, { stdio: 'inherit' });
+    if (!result.ok) {
+      throw new Error(`git worktree add exited with code ${result.exitCode}`);
+    }
+    recordWorktree(branchName, {
+      path: worktreePath,
+      prompt: options.prompt,
+      editor: options.editor,
+      base: null,
+    });
 
     console.log(chalk.green(`\n✅ Worktree created successfully!`));
     console.log(chalk.blue(`Changing to worktree directory: ${worktreePath}`));
@@ -264,33 +267,13 @@ async function createWorktreeForExistingBranch(branchName, options) {
     // Set terminal tab name to the branch name
     setTerminalTabName(branchName);
 
-    // Launch editor if not disabled
-    if (!options.noEditor) {
-      const editor = options.editor || 'claude';
-      console.log(chalk.blue(`\nLaunching ${editor}...`));
-      try {
-        let command = editor;
-        if (editor === 'claude') {
-          // Build Claude command with options
-          if (options.dangerouslySkipPermissions) {
-            command += ' --dangerously-skip-permissions';
-          }
-          if (options.prompt) {
-            command += ` "${options.prompt}"`;
-          }
-        } else if (options.prompt) {
-          // For other editors, they might not support prompts but we'll pass it anyway
-          command = `${editor} "${options.prompt}"`;
-        }
-        execSync(command, { stdio: 'inherit', shell: true });
-      } catch {
-        console.error(
-          chalk.yellow(
-            `Warning: Could not launch ${editor}. Make sure it's installed and in your PATH.`
-          )
-        );
-      }
+    writeWorktreeEnv(branchName, worktreePath, options.config);
+
+    if (options.bootstrap !== false) {
+      bootstrapWorktree(worktreePath, options.config);
     }
+
+    launchEditor(options);
   } catch (error) {
     console.error(chalk.red(`\nError creating worktree: ${error.message}`));
     process.exit(1);
@@ -311,6 +294,7 @@ async function interactiveMode(options) {
   const currentPath = gitRoot;
 
   const existingBranches = getExistingBranches();
+  const registry = readRegistry();
 
   // Build choices list with existing worktrees and branches
   const choices = [];
@@ -327,8 +311,10 @@ async function interactiveMode(options) {
         : wt.prunable
           ? chalk.yellow(' [prunable]')
           : '';
+      const entry = wt.branch && registry.worktrees[wt.branch.replace('refs/heads/', '')];
+      const task = entry && entry.prompt ? chalk.gray(` — ${truncate(entry.prompt, 50)}`) : '';
       choices.push({
-        name: `${chalk.blue(path.basename(wt.path))} ${chalk.gray(`(${branch})`)}${status}`,
+        name: `${chalk.blue(path.basename(wt.path))} ${chalk.gray(`(${branch})`)}${status}${task}`,
         value: { type: 'switch', path: wt.path, branch: wt.branch },
       });
     });
@@ -399,6 +385,16 @@ async function interactiveMode(options) {
     return;
   }
 
+  // Offer the usual starting points for a new branch
+  const mainBranch = getMainBranch(options.config);
+  const baseChoices = [
+    { name: `Current HEAD ${chalk.gray(`(${currentBranch || 'detached'})`)}`, value: null },
+    ...[mainBranch, ...getLocalBranches()]
+      .filter((branch, index, self) => branch !== currentBranch && self.indexOf(branch) === index)
+      .map((branch) => ({ name: branch, value: branch })),
+    { name: chalk.gray('Other branch, tag or commit...'), value: OTHER_BASE_REF },
+  ];
+
   // Create new worktree flow
   const questions = [
     {
@@ -408,6 +404,23 @@ async function interactiveMode(options) {
       validate: validateBranchName,
       when: () => !options.fromExisting,
     },
+    {
+      type: 'list',
+      name: 'base',
+      message: 'Start the new branch from:',
+      choices: baseChoices,
+      default: options.config.baseBranch || null,
+      pageSize: 15,
+      when: () => !options.fromExisting && !options.base,
+    },
+    {
+      type: 'input',
+      name: 'base',
+      message: 'Enter a branch, tag or commit:',
+      validate: (input) => resolveBaseRef(input.trim()) !== null || `Unknown ref '${input.trim()}'`,
+      filter: (input) => input.trim(),
+      when: (answers) => answers.base === OTHER_BASE_REF,
+    },
     {
       type: 'list',
       name: 'branchName',
@@ -419,10 +432,89 @@ async function interactiveMode(options) {
 
   const answers = await inquirer.prompt(questions);
 
-  await createWorktree(answers.branchName, options);
+  const base = 'base' in answers ? answers.base : options.base;
+  await createWorktree(answers.branchName, { ...options, base });
+}
+
+function suggestBranchName(prompt, config) {
+  const gitRoot = getGitRootDirectory();
+  return generateBranchName(prompt, {
+    prefix: config.branchPrefix || 'claude/',
+    existingBranches: getExistingBranches(),
+    isTaken: (name) => gitRoot !== null && worktreeExists(getWorktreePath(gitRoot, name, config)),
+  });
+}
+
+async function branchNameFromPrompt(options) {
+  let suggestion;
+  try {
+    suggestion = suggestBranchName(options.prompt, options.config);
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not generate a branch name: ${error.message}`));
+    process.exit(1);
+  }
+
+  // Let the user confirm or edit the name when running in a terminal
+  if (!process.stdin.isTTY) {
+    console.log(chalk.gray(`Using generated branch name: ${suggestion}`));
+    return suggestion;
+  }
+
+  const { branchName } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'branchName',
+      message: 'Branch name for this task:',
+      default: suggestion,
+      validate: validateBranchName,
+    },
+  ]);
+  return branchName;
 }
 
-export async function addCommand(branchName, options) {
+export async function addCommand(branchName, cliOptions) {
+  if (cliOptions.deps && !DEPENDENCY_STRATEGIES.includes(cliOptions.deps)) {
+    console.error(chalk.red(`Error: --deps must be one of: ${DEPENDENCY_STRATEGIES.join(', ')}`));
+    process.exit(1);
+  }
+  if (cliOptions.deps && cliOptions.bootstrap === false) {
+    // Dependencies are shared as the first bootstrap step
+    console.error(chalk.red('Error: --deps cannot be combined with --no-bootstrap'));
+    process.exit(1);
+  }
+  const options = resolveSessionOptions(cliOptions, loadConfig());
+
+  if (options.headless) {
+    if (!options.prompt) {
+      console.error(chalk.red('Error: --headless needs a prompt to run (--prompt)'));
+      process.exit(1);
+    }
+    if (!options.editor) {
+      console.error(chalk.red('Error: --headless cannot be combined with --no-editor'));
+      process.exit(1);
+    }
+
+    let launcher;
+    try {
+      launcher = getLauncher(options.editor, options.config);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    if (!launcher.headlessArgs) {
+      console.error(chalk.red(`Error: ${options.editor} has no headless mode`));
+      process.exit(1);
+    }
+  }
+
+  if (!branchName && options.prompt && !options.fromExisting) {
+    if (!isGitRepository()) {
+      console.error(chalk.red('Error: Not in a git repository'));
+      process.exit(1);
+    }
+    branchName = await branchNameFromPrompt(options);
+  }
+
   if (branchName) {
     // Validate branch name
     const validation = validateBranchName(branchName);
@@ -442,7 +534,21 @@ export function createAddCommand(program) {
     .argument('[branch-name]', 'Name of the branch to create')
     .option('-e, --editor <editor>', 'Editor to launch (default: claude)')
     .option('-n, --no-editor', 'Do not launch any editor')
+    .option('-t, --tmux', 'Launch the editor in a detached tmux session')
+    .option('--no-tmux', 'Launch the editor in this terminal even if tmux is configured')
+    .option(
+      '-H, --headless',
+      'Run the agent non-interactively in the background and log its output'
+    )
     .option('-x, --from-existing', 'Choose from existing branches')
+    .option('-b, --base <ref>', 'Branch, tag or commit to start the new branch from')
+    .option('--no-bootstrap', 'Skip copying files and running setup commands in the new worktree')
+    .addOption(
+      new Option(
+        '--deps [strategy]',
+        'Share dependencies: reflink, hardlink (files shared with the main worktree), install or none'
+      ).preset(DEFAULT_SHARE_STRATEGY)
+    )
     .option('-p, --prompt <prompt>', 'Initial prompt to pass to Claude when launching')
     .option(
       '-d, --dangerously-skip-permissions',
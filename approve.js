@@ -1,44 +1,22 @@
-import { execSync } from 'child_process';
+import os from 'os';
 import path from 'path';
 import fs from 'fs';
 import chalk from 'chalk';
 import isGitRepository from './utils/isGitRepository.js';
-import getGitRootDirectory from './utils/getGitRootDirectory.js';
+import findWorktreeForBranch from './utils/findWorktreeForBranch.js';
 import getCurrentBranch from './utils/getCurrentBranch.js';
+import getMainBranch from './utils/getMainBranch.js';
+import loadConfig from './utils/loadConfig.js';
+import { updateRegistryEntry } from './utils/registry.js';
+import mergeBranch, { resolveMergeStrategy } from './utils/mergeBranch.js';
+import { git, gitOrThrow } from './utils/run.js';
 
 function hasUncommittedChanges() {
-  try {
-    const result = execSync('git status --porcelain', { encoding: 'utf8' });
-    return result.trim().length > 0;
-  } catch {
-    return false;
-  }
-}
-
-function getMainBranch() {
-  try {
-    // Try to get the default branch from remote
-    const result = execSync('git symbolic-ref refs/remotes/origin/HEAD --short', {
-      encoding: 'utf8',
-    });
-    return result.trim().replace('origin/', '');
-  } catch {
-    // Fallback to checking if main or master exists
-    try {
-      execSync('git show-ref --verify refs/heads/main', { encoding: 'utf8' });
-      return 'main';
-    } catch {
-      try {
-        execSync('git show-ref --verify refs/heads/master', { encoding: 'utf8' });
-        return 'master';
-      } catch {
-        return 'main'; // Default to main
-      }
-    }
-  }
+  const result = git(['status', '--porcelain']);
+  return result.ok && result.stdout.trim().length > 0;
 }
 
-export async function approveCommand() {
+export async function approveCommand(options = {}) {
   if (!isGitRepository()) {
     console.error(chalk.red('Error: Not in a git repository'));
     process.exit(1);
@@ -50,10 +28,12 @@ export async function approveCommand() {
     process.exit(1);
   }
 
-  const mainBranch = getMainBranch();
+  const config = loadConfig();
+  const mainBranch = getMainBranch(config);
+  const strategy = resolveMergeStrategy(options, config);
 
   // Check if we're on main/master
-  if (currentBranch === 'main' || currentBranch === 'master') {
+  if (currentBranch === 'main' || currentBranch === 'master' || currentBranch === mainBranch) {
     console.error(chalk.red(`Error: Cannot run approve from the '${currentBranch}' branch`));
     console.log(chalk.yellow('Please run this command from a feature branch'));
     process.exit(1);
@@ -66,7 +46,7 @@ export async function approveCommand() {
 
     // Show status
     console.log(chalk.gray('\nCurrent status:'));
-    execSync('git status --short', { stdio: 'inherit' });
+    git(['status', '--short'], { stdio: 'inherit' });
     process.exit(1);
   }
 
@@ -74,105 +54,104 @@ export async function approveCommand() {
   console.log(chalk.gray(`Current branch: ${chalk.white(currentBranch)}`));
   console.log(chalk.gray(`Target branch: ${chalk.white(mainBranch)}`));
 
-  const gitRoot = getGitRootDirectory();
-  const currentDirName = path.basename(gitRoot);
-  const parentDir = path.dirname(gitRoot);
-
-  // Extract the base repo name by removing the branch suffix
-  // If we're in 'waiterio-stiloso-testing', the base repo name is 'waiterio'
-  let repoName = currentDirName;
-
-  // Check if this is a worktree with branch suffix
-  if (currentDirName.includes('-') && currentDirName !== currentBranch) {
-    // Try to find the base repo name by checking what exists
-    const parts = currentDirName.split('-');
-
-    // Try different combinations to find the main worktree
-    for (let i = 1; i <= parts.length; i++) {
-      const possibleRepoName = parts.slice(0, i).join('-');
-      const possibleMainPath = path.join(parentDir, possibleRepoName);
-
-      if (fs.existsSync(possibleMainPath) && fs.statSync(possibleMainPath).isDirectory()) {
-        // Verify it's a git repository
-        try {
-          execSync('git rev-parse --git-dir', {
-            cwd: possibleMainPath,
-            stdio: 'pipe',
-          });
-          repoName = possibleRepoName;
-          break;
-        } catch {
-          // Not a git repo, continue searching
-        }
-      }
-    }
-  }
+  // Save current directory
+  const originalDir = process.cwd();
 
-  const mainWorktreePath = path.join(parentDir, repoName);
-
-  // Check if main worktree exists
-  if (!fs.existsSync(mainWorktreePath)) {
-    console.error(chalk.red(`Error: Main worktree not found at ${mainWorktreePath}`));
-    console.log(chalk.yellow(`Expected to find the main branch worktree at: ${mainWorktreePath}`));
-    console.log(
-      chalk.yellow(
-        'Please ensure you have a worktree for the main branch with the standard naming convention'
-      )
+  const mainWorktree = findWorktreeForBranch(mainBranch);
+  if (mainWorktree && !fs.existsSync(mainWorktree.path)) {
+    console.error(
+      chalk.red(`Error: The '${mainBranch}' worktree at ${mainWorktree.path} is missing`)
     );
+    console.log(chalk.yellow('Clean it up with: git worktree prune'));
     process.exit(1);
   }
 
-  try {
-    // Save current directory
-    const originalDir = process.cwd();
+  // Without a worktree on the main branch, merge in a temporary one that is removed afterwards
+  let tempDir = null;
+  let mainWorktreePath = mainWorktree ? mainWorktree.path : null;
+  if (!mainWorktreePath) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-approve-'));
+    mainWorktreePath = path.join(tempDir, mainBranch.replace(/\//g, '-'));
+    console.log(chalk.blue(`\nNo worktree has '${mainBranch}' checked out; using a temporary one`));
+    try {
+      gitOrThrow(['worktree', 'add', '--quiet', mainWorktreePath, mainBranch]);
+    } catch (error) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      console.error(chalk.red(`Error: Could not create a temporary worktree: ${error.message}`));
+      process.exit(1);
+    }
+  }
 
+  const removeTemporaryWorktree = () => {
+    if (!tempDir) return;
+    process.chdir(originalDir);
+    git(['worktree', 'remove', '--force', mainWorktreePath]);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    tempDir = null;
+  };
+
+  try {
     console.log(chalk.blue(`\nSwitching to main worktree: ${mainWorktreePath}`));
     process.chdir(mainWorktreePath);
 
-    // Verify we're on the main branch
-    const mainWorktreeBranch = getCurrentBranch();
-    if (mainWorktreeBranch !== mainBranch) {
-      console.error(
-        chalk.red(`Error: The worktree at ${mainWorktreePath} is not on the '${mainBranch}' branch`)
-      );
-      console.log(chalk.yellow(`Found branch: ${mainWorktreeBranch}`));
-      process.exit(1);
-    }
-
     // Pull latest changes
     console.log(chalk.blue('\nPulling latest changes from origin...'));
     try {
-      execSync(`git pull origin ${mainBranch}`, { stdio: 'inherit' });
+      gitOrThrow(['pull', 'origin', mainBranch], { stdio: 'inherit' });
     } catch (error) {
       console.error(chalk.red('Failed to pull latest changes'));
       throw error;
     }
 
     // Merge the feature branch
-    console.log(chalk.blue(`\nMerging '${currentBranch}' into '${mainBranch}'...`));
-    try {
-      execSync(`git merge ${currentBranch} --no-edit`, { stdio: 'inherit' });
-    } catch (error) {
-      if (error.status === 1 && error.toString().includes('CONFLICT')) {
+    console.log(chalk.blue(`\nMerging '${currentBranch}' into '${mainBranch}' (${strategy})...`));
+    const result = mergeBranch(currentBranch, mainBranch, {
+      strategy,
+      edit: options.edit !== false && Boolean(process.stdin.isTTY),
+    });
+    if (!result.ok) {
+      if (result.conflicts.length > 0) {
         console.error(chalk.red('\n❌ Merge conflict detected!'));
-        console.log(chalk.yellow('\nPlease resolve conflicts manually in the main worktree:'));
-        console.log(chalk.gray(`cd ${mainWorktreePath}`));
-        console.log(chalk.gray('# Fix conflicts, then:'));
-        console.log(chalk.gray('git add <resolved-files>'));
-        console.log(chalk.gray('git commit'));
-        console.log(chalk.gray('git push origin ' + mainBranch));
+        result.conflicts.forEach((file) => {
+          console.log(chalk.red(`  • ${file}`));
+        });
+        if (tempDir && strategy !== 'rebase') {
+          // The temporary worktree and its half-done merge are discarded
+          removeTemporaryWorktree();
+          console.log(
+            chalk.yellow('\nThe merge was discarded. Resolve it in this worktree instead:')
+          );
+          console.log(chalk.gray(`1. Merge the main branch here: git merge ${mainBranch}`));
+          console.log(chalk.gray('2. Fix the conflicts, then: git add <file> && git commit'));
+          console.log(chalk.gray('3. Run spawn approve again'));
+          process.exit(1);
+        }
+        if (strategy === 'rebase') {
+          // The rebase was aborted, so the conflicts are resolved in the feature branch
+          console.log(chalk.yellow('\nPlease rebase and resolve the conflicts in this worktree:'));
+        } else {
+          console.log(chalk.yellow('\nPlease resolve conflicts manually in the main worktree:'));
+          console.log(chalk.gray(`cd ${mainWorktreePath}`));
+        }
+        result.resolution.forEach((line) => {
+          console.log(chalk.gray(line));
+        });
+        if (strategy !== 'rebase') {
+          console.log(chalk.gray('git push origin ' + mainBranch));
+        }
 
         // Return to original directory
+        removeTemporaryWorktree();
         process.chdir(originalDir);
         process.exit(1);
       }
-      throw error;
+      throw new Error(result.error);
     }
 
     // Push to origin
     console.log(chalk.blue('\nPushing to origin...'));
     try {
-      execSync(`git push origin ${mainBranch}`, { stdio: 'inherit' });
+      gitOrThrow(['push', 'origin', mainBranch], { stdio: 'inherit' });
     } catch (error) {
       console.error(chalk.red('Failed to push to origin'));
       throw error;
@@ -181,16 +160,23 @@ export async function approveCommand() {
     console.log(
       chalk.green(`\n✅ Successfully approved and merged '${currentBranch}' into '${mainBranch}'!`)
     );
+    const approvedAt = new Date().toISOString();
+    updateRegistryEntry(currentBranch, {
+      approvedAt,
+      mergedAt: approvedAt,
+      mergedInto: mainBranch,
+    });
 
     // Return to original directory
+    removeTemporaryWorktree();
     process.chdir(originalDir);
     console.log(chalk.gray(`\nReturned to: ${originalDir}`));
 
     // Suggest next steps
-    console.log(chalk.blue('\nNext steps:'));
-    console.log(chalk.gray(`1. Delete the local branch: git branch -d ${currentBranch}`));
-    console.log(chalk.gray(`2. Remove this worktree: spawn remove ${currentBranch}`));
+    console.log(chalk.blue('\nNext step:'));
+    console.log(chalk.gray(`Remove this worktree and its branch: spawn remove ${currentBranch}`));
   } catch (error) {
+    removeTemporaryWorktree();
     console.error(chalk.red(`\nError during approval: ${error.message}`));
     process.exit(1);
   }
@@ -200,7 +186,11 @@ export function createApproveCommand(program) {
   program
     .command('approve')
     .description('Merge current branch into main and push (must not be on main/master)')
-    .action(async () => {
-      await approveCommand();
+    .option('--squash', 'Squash the branch into a single commit on main')
+    .option('--rebase', 'Rebase the branch onto main, then fast-forward main')
+    .option('--ff-only', 'Only merge when main can be fast-forwarded')
+    .option('--no-edit', 'Commit a squash with the generated message without opening the editor')
+    .action(async (options) => {
+      await approveCommand(options);
     });
 }
@@ -0,0 +1,94 @@
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import isGitRepository from './utils/isGitRepository.js';
+import getWorktrees from './utils/getWorktrees.js';
+import findWorktreeForBranch from './utils/findWorktreeForBranch.js';
+import setTerminalTabName from './utils/setTerminalTabName.js';
+import { attachSession, getSessionName, hasSession, isTmuxAvailable } from './utils/tmux.js';
+
+async function selectSession() {
+  const running = getWorktrees().filter((wt) => hasSession(getSessionName(wt.path)));
+
+  if (running.length === 0) {
+    console.log(chalk.yellow('No running sessions. Start one with: spawn <branch-name> --tmux'));
+    return null;
+  }
+
+  const choices = running.map((wt) => {
+    const branch = wt.branch ? wt.branch.replace('refs/heads/', '') : 'detached HEAD';
+    return {
+      name: `${chalk.blue(path.basename(wt.path))} ${chalk.gray(`(${branch})`)}`,
+      value: wt,
+    };
+  });
+
+  choices.push(new inquirer.Separator());
+  choices.push({
+    name: chalk.gray('Cancel'),
+    value: null,
+  });
+
+  const { selection } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'selection',
+      message: 'Select a session to attach to:',
+      choices: choices,
+      pageSize: 15,
+    },
+  ]);
+
+  return selection;
+}
+
+export async function attachCommand(branchName) {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  if (!isTmuxAvailable()) {
+    console.error(chalk.red('Error: tmux is not installed or not in your PATH'));
+    process.exit(1);
+  }
+
+  let worktree;
+  if (branchName) {
+    worktree = findWorktreeForBranch(branchName);
+    if (!worktree) {
+      console.error(chalk.red(`Error: No worktree found for branch '${branchName}'`));
+      process.exit(1);
+    }
+  } else {
+    worktree = await selectSession();
+    if (!worktree) {
+      return;
+    }
+  }
+
+  const sessionName = getSessionName(worktree.path);
+  if (!hasSession(sessionName)) {
+    console.error(chalk.red(`Error: No running session for ${path.basename(worktree.path)}`));
+    console.log(chalk.yellow('Start one by picking the worktree in: spawn --tmux'));
+    process.exit(1);
+  }
+
+  if (worktree.branch) {
+    setTerminalTabName(worktree.branch.replace('refs/heads/', ''));
+  }
+
+  if (!attachSession(sessionName)) {
+    console.error(chalk.red(`Error: Could not attach to session '${sessionName}'`));
+    process.exit(1);
+  }
+}
+
+export function createAttachCommand(program) {
+  program
+    .command('attach [branch-name]')
+    .description('Reattach to the tmux session of a worktree')
+    .action(async (branchName) => {
+      await attachCommand(branchName);
+    });
+}
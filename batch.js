@@ -0,0 +1,234 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import { Option } from 'commander';
+import YAML from 'yaml';
+import isGitRepository from './utils/isGitRepository.js';
+import getExistingBranches from './utils/getExistingBranches.js';
+import validateBranchName from './utils/validateBranchName.js';
+import loadConfig, { mergeConfig } from './utils/loadConfig.js';
+import resolveSessionOptions from './utils/resolveSessionOptions.js';
+import addWorktree, { planWorktree } from './utils/addWorktree.js';
+import bootstrapWorktree from './utils/bootstrapWorktree.js';
+import { DEFAULT_SHARE_STRATEGY, DEPENDENCY_STRATEGIES } from './utils/shareDependencies.js';
+import { setupWorktreeEnv } from './utils/worktreeEnv.js';
+import launchEditor from './utils/launchEditor.js';
+import renderTable from './utils/renderTable.js';
+import getCurrentBranch from './utils/getCurrentBranch.js';
+import { recordWorktree } from './utils/registry.js';
+
+const TASK_KEYS = ['branch', 'base', 'prompt', 'editor', 'dangerouslySkipPermissions', 'bootstrap'];
+
+const DEFAULT_KEYS = TASK_KEYS.filter((key) => key !== 'branch');
+
+/**
+ * Read a YAML or JSON manifest: a list of tasks, or an object with `tasks` and `defaults`
+ * @param {string} manifestPath - Path of the manifest
+ * @returns {object[]} Tasks with the defaults applied
+ * @throws {Error} If the manifest cannot be parsed or has unknown keys
+ */
+export function loadManifest(manifestPath) {
+  // JSON is valid YAML, so one parser handles both formats
+  const data = YAML.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const tasks = Array.isArray(data) ? data : data && data.tasks;
+  if (!Array.isArray(tasks)) {
+    throw new Error('Manifest must be a list of tasks or an object with a "tasks" list');
+  }
+
+  const defaults = Array.isArray(data) ? {} : data.defaults || {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    throw new Error('"defaults" must be an object');
+  }
+  const unknownDefaults = Object.keys(defaults).filter((key) => !DEFAULT_KEYS.includes(key));
+  if (unknownDefaults.length > 0) {
+    throw new Error(`"defaults" has unknown keys: ${unknownDefaults.join(', ')}`);
+  }
+
+  return tasks.map((task, index) => {
+    if (!task || typeof task !== 'object') {
+      throw new Error(`Task ${index + 1} must be an object`);
+    }
+    const unknownKeys = Object.keys(task).filter((key) => !TASK_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`Task ${index + 1} has unknown keys: ${unknownKeys.join(', ')}`);
+    }
+    return { ...defaults, ...task };
+  });
+}
+
+/**
+ * Create the worktree of one manifest task
+ * @param {object} task - Task from loadManifest
+ * @param {object} config - Spawn config
+ * @param {Set<string>} seenBranches - Branches of the earlier tasks; this task's is added
+ * @param {string[]} existingBranches - Branches that existed before the batch started
+ * @param {object} cliOptions - Options of the batch command
+ * @returns {{status: 'created'|'skipped'|'failed', branch?: string, path?: string,
+ *   reason: string|null, options?: object}} Row of the summary
+ */
+export function createTask(task, config, seenBranches, existingBranches, cliOptions) {
+  if (!task.branch) {
+    return { status: 'failed', reason: 'Missing branch name' };
+  }
+
+  const validation = validateBranchName(task.branch);
+  if (validation !== true) {
+    return { status: 'failed', reason: validation };
+  }
+
+  const options = resolveSessionOptions(
+    {
+      editor: task.editor,
+      prompt: task.prompt,
+      dangerouslySkipPermissions: task.dangerouslySkipPermissions,
+      base: task.base,
+      tmux: cliOptions.tmux,
+      headless: cliOptions.headless,
+    },
+    config
+  );
+
+  let plan;
+  try {
+    plan = planWorktree(task.branch, options);
+  } catch (error) {
+    return { status: 'failed', reason: error.message };
+  }
+
+  if (seenBranches.has(plan.branchName)) {
+    return { status: 'skipped', branch: plan.branchName, reason: 'Duplicate entry in manifest' };
+  }
+  seenBranches.add(plan.branchName);
+
+  if (existingBranches.includes(plan.branchName)) {
+    return { status: 'skipped', branch: plan.branchName, reason: 'Branch already exists' };
+  }
+  if (fs.existsSync(plan.worktreePath)) {
+    return { status: 'skipped', branch: plan.branchName, reason: 'Worktree path already exists' };
+  }
+
+  try {
+    addWorktree(plan, { stdio: 'pipe' });
+  } catch (error) {
+    return { status: 'failed', branch: plan.branchName, reason: error.message };
+  }
+  recordWorktree(plan.branchName, {
+    path: plan.worktreePath,
+    prompt: options.prompt,
+    editor: options.editor,
+    base: plan.baseRef ? plan.baseRef.ref : getCurrentBranch(),
+  });
+
+  let envError = null;
+  try {
+    setupWorktreeEnv(plan.branchName, plan.worktreePath, config);
+  } catch (error) {
+    envError = error.message;
+  }
+
+  const bootstrapped =
+    task.bootstrap === false || cliOptions.bootstrap === false
+      ? true
+      : bootstrapWorktree(plan.worktreePath, config);
+
+  return {
+    status: 'created',
+    branch: plan.branchName,
+    path: plan.worktreePath,
+    reason: envError || (bootstrapped ? null : 'Bootstrap had failures'),
+    options,
+  };
+}
+
+export async function batchCommand(manifestPath, cliOptions = {}) {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  let tasks;
+  try {
+    tasks = loadManifest(manifestPath);
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not read manifest ${manifestPath}: ${error.message}`));
+    process.exit(1);
+  }
+
+  if (tasks.length === 0) {
+    console.log(chalk.yellow('No tasks found in manifest.'));
+    return;
+  }
+
+  if (cliOptions.deps && !DEPENDENCY_STRATEGIES.includes(cliOptions.deps)) {
+    console.error(chalk.red(`Error: --deps must be one of: ${DEPENDENCY_STRATEGIES.join(', ')}`));
+    process.exit(1);
+  }
+  if (cliOptions.deps && cliOptions.bootstrap === false) {
+    // Dependencies are shared as the first bootstrap step
+    console.error(chalk.red('Error: --deps cannot be combined with --no-bootstrap'));
+    process.exit(1);
+  }
+
+  const config = cliOptions.deps
+    ? mergeConfig(loadConfig(), { dependencies: { strategy: cliOptions.deps } })
+    : loadConfig();
+  const existingBranches = getExistingBranches();
+  const seenBranches = new Set();
+
+  console.log(chalk.cyan.bold(`\n🌳 Spawning ${tasks.length} worktree(s)\n`));
+
+  const results = tasks.map((task, index) => {
+    console.log(chalk.blue(`[${index + 1}/${tasks.length}] ${task.branch || '(no branch)'}`));
+    const result = createTask(task, config, seenBranches, existingBranches, cliOptions);
+    return { branch: task.branch || '', ...result };
+  });
+
+  const statusColors = { created: chalk.green, skipped: chalk.yellow, failed: chalk.red };
+  console.log();
+  console.log(
+    renderTable(
+      ['Branch', 'Status', 'Details'],
+      results.map((result) => [
+        chalk.white(result.branch),
+        statusColors[result.status](result.status),
+        chalk.gray([result.path, result.reason].filter(Boolean).join(' — ')),
+      ])
+    )
+  );
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  console.log(
+    chalk.gray(
+      `\n${count('created')} created, ${count('skipped')} skipped, ${count('failed')} failed`
+    )
+  );
+
+  if (cliOptions.launch || cliOptions.headless) {
+    // Inline editors block, so without tmux sessions are launched one after another
+    for (const result of results.filter((entry) => entry.status === 'created')) {
+      launchEditor(result.options, result.path);
+    }
+  }
+
+  if (count('failed') > 0) {
+    process.exit(1);
+  }
+}
+
+export function createBatchCommand(program) {
+  program
+    .command('batch <manifest>')
+    .description('Create several worktrees from a YAML or JSON task manifest')
+    .option('-l, --launch', 'Launch the editor of each created worktree')
+    .option('-t, --tmux', 'Launch each editor in its own detached tmux session')
+    .option('-H, --headless', 'Run each agent non-interactively in the background')
+    .option('--no-bootstrap', 'Skip copying files and running setup commands')
+    .addOption(
+      new Option(
+        '--deps [strategy]',
+        'Share dependencies: reflink, hardlink (files shared with the main worktree), install or none'
+      ).preset(DEFAULT_SHARE_STRATEGY)
+    )
+    .action(async (manifestPath, options) => {
+      await batchCommand(manifestPath, options);
+    });
+}
@@ -0,0 +1,172 @@
+import chalk from 'chalk';
+import isGitRepository from './utils/isGitRepository.js';
+import getWorktrees from './utils/getWorktrees.js';
+import getMainBranch from './utils/getMainBranch.js';
+import loadConfig from './utils/loadConfig.js';
+import matchesBranchPattern from './utils/matchesBranchPattern.js';
+import predictConflicts from './utils/predictConflicts.js';
+import renderTable from './utils/renderTable.js';
+import truncate from './utils/truncate.js';
+import { getOutputFormat, printJson, printPorcelain } from './utils/output.js';
+
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function getWorktreeBranches(mainBranch, patterns) {
+  return getWorktrees()
+    .map((wt) => (wt.branch ? wt.branch.replace('refs/heads/', '') : null))
+    .filter(
+      (branch) =>
+        branch &&
+        branch !== mainBranch &&
+        (patterns.length === 0 || patterns.some((pattern) => matchesBranchPattern(branch, pattern)))
+    );
+}
+
+/**
+ * Forecast every branch against the main branch and every pair of branches against each other
+ * @param {string} mainBranch - Branch the worktrees are merged into
+ * @param {string[]} branches - Branches of the active worktrees
+ * @returns {Array<{ours: string, theirs: string, conflicts: string[], error: string|null}>}
+ */
+function forecastPairs(mainBranch, branches) {
+  const pairs = branches.map((branch) => [mainBranch, branch]);
+  branches.forEach((branch, index) => {
+    for (const other of branches.slice(index + 1)) {
+      pairs.push([branch, other]);
+    }
+  });
+
+  return pairs.map(([ours, theirs]) => ({ ours, theirs, ...predictConflicts(ours, theirs) }));
+}
+
+function pairStatus(pair) {
+  if (pair.error) return 'error';
+  return pair.conflicts.length > 0 ? 'conflict' : 'clean';
+}
+
+function printMachineForecast(format, mainBranch, branches, pairs) {
+  if (format === 'json') {
+    printJson({
+      mainBranch,
+      branches,
+      pairs: pairs.map((pair) => ({ ...pair, status: pairStatus(pair) })),
+    });
+    return;
+  }
+
+  printPorcelain(
+    pairs.flatMap((pair) => [
+      ['pair', pair.ours, pair.theirs, pairStatus(pair), pair.conflicts.length, pair.error],
+      ...pair.conflicts.map((file) => ['conflict', pair.ours, pair.theirs, file]),
+    ])
+  );
+}
+
+function printPairTable(title, headers, pairs, columns) {
+  console.log(chalk.blue(`\n${title}`));
+  console.log(
+    renderTable(
+      headers,
+      pairs.map((pair) => [
+        ...columns(pair),
+        pair.error
+          ? chalk.red('error')
+          : pair.conflicts.length > 0
+            ? chalk.red(`${pair.conflicts.length} file(s)`)
+            : chalk.green('clean'),
+        chalk.gray(pair.error || truncate(pair.conflicts.join(', '), 60)),
+      ])
+    )
+  );
+}
+
+export async function conflictsCommand(options = {}) {
+  const format = getOutputFormat(options);
+
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  const mainBranch = getMainBranch(loadConfig());
+  const branches = getWorktreeBranches(mainBranch, options.branch || []);
+  const pairs = forecastPairs(mainBranch, branches);
+
+  // Every pair fails the same way when git itself cannot run the merge
+  if (pairs.length > 0 && pairs.every((pair) => pair.error)) {
+    console.error(chalk.red(`Error: ${pairs[0].error}`));
+    process.exit(1);
+  }
+
+  if (format) {
+    printMachineForecast(format, mainBranch, branches, pairs);
+    return;
+  }
+
+  console.log(chalk.cyan.bold(`\n🔮 Conflict forecast for ${branches.length} worktree branch(es)`));
+  if (branches.length === 0) {
+    console.log(chalk.yellow('\nNo worktree branches to check.'));
+    return;
+  }
+
+  const againstMain = pairs.filter((pair) => pair.ours === mainBranch);
+  const betweenBranches = pairs.filter((pair) => pair.ours !== mainBranch);
+
+  printPairTable(
+    `Merging into ${mainBranch}:`,
+    ['Branch', 'Result', 'Files'],
+    againstMain,
+    (pair) => [chalk.yellow(pair.theirs)]
+  );
+
+  const conflicting = betweenBranches.filter((pair) => pair.conflicts.length > 0 || pair.error);
+  if (conflicting.length > 0) {
+    printPairTable(
+      'Conflicting worktree pairs:',
+      ['Branch', 'Branch', 'Result', 'Files'],
+      conflicting,
+      (pair) => [chalk.yellow(pair.ours), chalk.yellow(pair.theirs)]
+    );
+  }
+  if (betweenBranches.length > 0) {
+    console.log(
+      chalk.gray(
+        `\n${betweenBranches.length - conflicting.length} of ${betweenBranches.length} worktree pair(s) merge cleanly`
+      )
+    );
+  }
+
+  if (againstMain.some((pair) => pair.conflicts.length > 0)) {
+    console.log(
+      chalk.yellow(
+        `\nRebase branches that conflict with ${mainBranch} before merging: spawn sync --branch <branch>`
+      )
+    );
+  }
+  if (conflicting.length > 0) {
+    console.log(
+      chalk.yellow(
+        'For each conflicting pair, merge one branch first, then rebase the other with spawn sync'
+      )
+    );
+  }
+  console.log(chalk.gray('Only committed changes are compared.'));
+}
+
+export function createConflictsCommand(program) {
+  program
+    .command('conflicts')
+    .description('Predict merge conflicts between worktree branches and the main branch')
+    .option(
+      '--branch <pattern>',
+      'Only worktrees whose branch matches the pattern, e.g. "claude/*" (repeatable)',
+      collect
+    )
+    .option('--json', 'Print the forecast as JSON')
+    .option('--porcelain', 'Print the forecast as tab-separated records')
+    .action(async (options) => {
+      await conflictsCommand(options);
+    });
+}
@@ -1,4 +1,3 @@
-import { execSync } from 'child_process';
 import path from 'path';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
@@ -7,6 +6,53 @@ import getGitRootDirectory from './utils/getGitRootDirectory.js';
 import getCurrentBranch from './utils/getCurrentBranch.js';
 import getExistingBranches from './utils/getExistingBranches.js';
 import getWorktrees from './utils/getWorktrees.js';
+import getMainBranch from './utils/getMainBranch.js';
+import loadConfig from './utils/loadConfig.js';
+import { gitOrThrow } from './utils/run.js';
+import getBranchChanges from './utils/getBranchChanges.js';
+import { branchChangeRecords, getOutputFormat, printJson, printPorcelain } from './utils/output.js';
+
+function printMachineDiff(format, branchName, currentBranch) {
+  if (!getExistingBranches().includes(branchName)) {
+    console.error(`Error: Branch '${branchName}' does not exist`);
+    process.exit(1);
+  }
+
+  let changes;
+  try {
+    changes = getBranchChanges(branchName, currentBranch);
+  } catch (error) {
+    console.error(`Error running diff: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (format === 'json') {
+    printJson({ base: currentBranch, branch: branchName, ...changes });
+  } else {
+    printPorcelain(branchChangeRecords(changes));
+  }
+}
+
+function getDiffCandidates(currentBranch, baseBranch) {
+  const worktrees = getWorktrees();
+  const gitRoot = getGitRootDirectory();
+
+  // All branches except current, with the base branch first
+  return getExistingBranches()
+    .filter((branch) => branch !== currentBranch)
+    .sort((a, b) => (b === baseBranch) - (a === baseBranch))
+    .map((branch) => {
+      const worktree = worktrees.find(
+        (wt) => wt.branch && wt.branch.replace('refs/heads/', '') === branch
+      );
+      return {
+        branch,
+        isBase: branch === baseBranch,
+        worktree: worktree ? worktree.path : null,
+        isCurrentWorktree: Boolean(worktree) && worktree.path === gitRoot,
+      };
+    });
+}
 
 function runGitDiff(branchName, currentBranch) {
   console.log(
@@ -24,7 +70,7 @@ function runGitDiff(branchName, currentBranch) {
     }
 
     // Run git diff with color output
-    execSync(`git diff ${currentBranch}...${branchName}`, {
+    gitOrThrow(['diff', `${currentBranch}...${branchName}`], {
       stdio: 'inherit',
       env: { ...process.env, FORCE_COLOR: '1' },
     });
@@ -32,9 +78,7 @@ function runGitDiff(branchName, currentBranch) {
     // Also show a summary
     console.log(chalk.gray('\n─────────────────────────────────────────'));
     console.log(chalk.blue('Summary:'));
-    const stats = execSync(`git diff ${currentBranch}...${branchName} --stat`, {
-      encoding: 'utf8',
-    });
+    const stats = gitOrThrow(['diff', `${currentBranch}...${branchName}`, '--stat']).stdout;
     console.log(stats);
 
     return true;
@@ -55,31 +99,24 @@ async function interactiveDiff() {
 
   console.log(chalk.gray(`Current branch: ${chalk.white(currentBranch)}`));
 
-  // Get all branches except current
-  const branches = getExistingBranches().filter((branch) => branch !== currentBranch);
+  const candidates = getDiffCandidates(currentBranch, getMainBranch(loadConfig()));
 
-  if (branches.length === 0) {
+  if (candidates.length === 0) {
     console.log(chalk.yellow('No other branches available to compare.'));
     return;
   }
 
-  // Get worktrees for additional context
-  const worktrees = getWorktrees();
-  const gitRoot = getGitRootDirectory();
-
   // Build choices with branch info
-  const choices = branches.map((branch) => {
-    const worktree = worktrees.find(
-      (wt) => wt.branch && wt.branch.replace('refs/heads/', '') === branch
-    );
-
+  const choices = candidates.map(({ branch, isBase, worktree, isCurrentWorktree }) => {
     let name = chalk.yellow(branch);
+    if (isBase) {
+      name += chalk.gray(' (base)');
+    }
     if (worktree) {
-      const isCurrentWorktree = worktree.path === gitRoot;
       if (isCurrentWorktree) {
         name += chalk.gray(' (current worktree)');
       } else {
-        name += chalk.gray(` (${path.basename(worktree.path)})`);
+        name += chalk.gray(` (${path.basename(worktree)})`);
       }
     }
 
@@ -114,7 +151,9 @@ async function interactiveDiff() {
   await runGitDiff(selectedBranch, currentBranch);
 }
 
-export async function diffCommand(branchName) {
+export async function diffCommand(branchName, options = {}) {
+  const format = getOutputFormat(options);
+
   if (!isGitRepository()) {
     console.error(chalk.red('Error: Not in a git repository'));
     process.exit(1);
@@ -126,7 +165,26 @@ export async function diffCommand(branchName) {
     process.exit(1);
   }
 
-  if (branchName) {
+  if (format && branchName) {
+    printMachineDiff(format, branchName, currentBranch);
+  } else if (format) {
+    // The branches the interactive picker would offer
+    const candidates = getDiffCandidates(currentBranch, getMainBranch(loadConfig()));
+    if (format === 'json') {
+      printJson({ currentBranch, branches: candidates });
+    } else {
+      printPorcelain(
+        candidates.map((candidate) => [
+          'branch',
+          candidate.branch,
+          candidate.worktree,
+          [candidate.isBase && 'base', candidate.isCurrentWorktree && 'current']
+            .filter(Boolean)
+            .join(','),
+        ])
+      );
+    }
+  } else if (branchName) {
     // Direct diff mode
     await runGitDiff(branchName, currentBranch);
   } else {
@@ -139,7 +197,9 @@ export function createDiffCommand(program) {
   program
     .command('diff [branch-name]')
     .description('Show differences between current branch and another branch')
-    .action(async (branchName) => {
-      await diffCommand(branchName);
+    .option('--json', 'Print the commits and changed files as JSON')
+    .option('--porcelain', 'Print one tab-separated line per commit and changed file')
+    .action(async (branchName, options) => {
+      await diffCommand(branchName, options);
     });
 }
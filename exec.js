@@ -0,0 +1,199 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import isGitRepository from './utils/isGitRepository.js';
+import getWorktrees from './utils/getWorktrees.js';
+import loadConfig from './utils/loadConfig.js';
+import matchesBranchPattern from './utils/matchesBranchPattern.js';
+import renderTable from './utils/renderTable.js';
+import shellQuote from './utils/shellQuote.js';
+import { readWorktreeEnv } from './utils/worktreeEnv.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+const PREFIX_COLORS = [chalk.cyan, chalk.magenta, chalk.yellow, chalk.blue, chalk.green];
+
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function selectWorktrees(patterns) {
+  return getWorktrees()
+    .map((wt) => ({
+      path: wt.path,
+      name: path.basename(wt.path),
+      branch: wt.branch ? wt.branch.replace('refs/heads/', '') : null,
+    }))
+    .filter(
+      (wt) =>
+        patterns.length === 0 ||
+        (wt.branch && patterns.some((pattern) => matchesBranchPattern(wt.branch, pattern)))
+    );
+}
+
+function prefixLines(stream, target, prefix) {
+  let pending = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      target.write(`${prefix} ${line}\n`);
+    }
+  });
+  return () => {
+    if (pending) {
+      target.write(`${prefix} ${pending}\n`);
+      pending = '';
+    }
+  };
+}
+
+function runInWorktree(worktree, command, prefix, config) {
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      cwd: worktree.path,
+      shell: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, ...readWorktreeEnv(worktree.path, config) },
+    });
+    const flushStdout = prefixLines(child.stdout, process.stdout, prefix);
+    const flushStderr = prefixLines(child.stderr, process.stderr, prefix);
+
+    const finish = (result) => {
+      flushStdout();
+      flushStderr();
+      resolve({ ...result, duration: Date.now() - startedAt });
+    };
+
+    child.on('error', (error) => {
+      finish({ status: 'failed', reason: error.message });
+    });
+    child.on('close', (exitCode, signal) => {
+      if (exitCode === 0) {
+        finish({ status: 'passed', reason: '' });
+      } else {
+        finish({
+          status: 'failed',
+          reason: signal ? `killed by ${signal}` : `exit code ${exitCode}`,
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Run tasks with at most `limit` of them in flight
+ * @param {Array<() => Promise<any>>} tasks - Functions starting each task
+ * @param {number} limit - Maximum number of tasks running at once
+ * @returns {Promise<any[]>} Results in the order of the tasks
+ */
+async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
+
+function formatDuration(milliseconds) {
+  return milliseconds < 1000 ? `${milliseconds}ms` : `${(milliseconds / 1000).toFixed(1)}s`;
+}
+
+export async function execCommand(commandArgs, options = {}) {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  const concurrency = Number.parseInt(options.concurrency ?? DEFAULT_CONCURRENCY, 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(chalk.red('Error: --concurrency must be a positive number'));
+    process.exit(1);
+  }
+
+  // A single argument is a shell command line; several are quoted as separate words
+  const command = commandArgs.length === 1 ? commandArgs[0] : commandArgs.map(shellQuote).join(' ');
+
+  const worktrees = selectWorktrees(options.branch || []);
+  if (worktrees.length === 0) {
+    console.log(chalk.yellow('No worktrees match.'));
+    return;
+  }
+
+  const config = loadConfig();
+  const width = Math.max(...worktrees.map((wt) => wt.name.length));
+
+  console.log(
+    chalk.cyan.bold(`\n⚡ Running in ${worktrees.length} worktree(s):`),
+    chalk.white(command)
+  );
+  console.log();
+
+  const tasks = worktrees.map((worktree, index) => async () => {
+    if (!fs.existsSync(worktree.path)) {
+      return { status: 'skipped', reason: 'worktree directory is missing', duration: 0 };
+    }
+    const color = PREFIX_COLORS[index % PREFIX_COLORS.length];
+    const prefix = color(`[${worktree.name.padEnd(width)}]`);
+    return runInWorktree(worktree, command, prefix, config);
+  });
+  const results = await runWithConcurrency(tasks, concurrency);
+
+  const statusColors = { passed: chalk.green, skipped: chalk.yellow, failed: chalk.red };
+  console.log();
+  console.log(
+    renderTable(
+      ['Worktree', 'Branch', 'Status', 'Time', 'Details'],
+      results.map((result, index) => [
+        chalk.white(worktrees[index].name),
+        chalk.yellow(worktrees[index].branch || 'detached HEAD'),
+        statusColors[result.status](result.status),
+        chalk.gray(formatDuration(result.duration)),
+        chalk.gray(result.reason),
+      ])
+    )
+  );
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  console.log(
+    chalk.gray(
+      `\n${count('passed')} passed, ${count('failed')} failed, ${count('skipped')} skipped`
+    )
+  );
+
+  if (count('failed') > 0) {
+    process.exit(1);
+  }
+}
+
+export function createExecCommand(program) {
+  program
+    .command('exec <command...>')
+    .description('Run a command in every worktree in parallel')
+    .option(
+      '--branch <pattern>',
+      'Only worktrees whose branch matches the pattern, e.g. "claude/*" (repeatable)',
+      collect
+    )
+    .option(
+      '-j, --concurrency <count>',
+      'Maximum number of worktrees to run in at once',
+      String(DEFAULT_CONCURRENCY)
+    )
+    .addHelpText(
+      'after',
+      '\nPut the command after -- when it has options of its own:\n  spawn exec -- npm test --silent'
+    )
+    .action(async (commandArgs, options) => {
+      await execCommand(commandArgs, options);
+    });
+}
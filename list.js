@@ -3,8 +3,18 @@ import chalk from 'chalk';
 import isGitRepository from './utils/isGitRepository.js';
 import getGitRootDirectory from './utils/getGitRootDirectory.js';
 import getWorktrees from './utils/getWorktrees.js';
+import { readRegistry } from './utils/registry.js';
+import {
+  describeWorktree,
+  getOutputFormat,
+  printJson,
+  printPorcelain,
+  worktreeFlags,
+} from './utils/output.js';
+
+export async function listWorktrees(options = {}) {
+  const format = getOutputFormat(options);
 
-export async function listWorktrees() {
   if (!isGitRepository()) {
     console.error(chalk.red('Error: Not in a git repository'));
     process.exit(1);
@@ -12,6 +22,25 @@ export async function listWorktrees() {
 
   const worktrees = getWorktrees();
   const gitRoot = getGitRootDirectory();
+  const registry = readRegistry();
+
+  if (format) {
+    const records = worktrees.map((wt) => describeWorktree(wt, gitRoot, registry));
+    if (format === 'json') {
+      printJson({ worktrees: records });
+    } else {
+      printPorcelain(
+        records.map((record) => [
+          'worktree',
+          record.path,
+          record.branch,
+          record.head,
+          worktreeFlags(record),
+        ])
+      );
+    }
+    return;
+  }
 
   console.log(chalk.cyan.bold('\n🌳 Git Worktrees:\n'));
 
@@ -27,6 +56,19 @@ export async function listWorktrees() {
       console.log(chalk.white(`${index + 1}. ${chalk.bold(path.basename(wt.path))}`));
       console.log(chalk.gray(`   Path: ${wt.path}`));
       console.log(chalk.gray(`   Branch: ${branch}${marker}`));
+
+      const entry = wt.branch && registry.worktrees[wt.branch.replace('refs/heads/', '')];
+      if (entry) {
+        if (entry.prompt) {
+          console.log(chalk.gray(`   Task: ${chalk.white(entry.prompt)}`));
+        }
+        const createdAt = new Date(entry.createdAt).toLocaleString();
+        const base = entry.base ? ` from ${entry.base}` : '';
+        console.log(chalk.gray(`   Created: ${createdAt} by ${entry.createdBy}${base}`));
+        if (entry.mergedAt) {
+          console.log(chalk.gray(`   Merged into: ${entry.mergedInto}`));
+        }
+      }
       console.log();
     });
   }
@@ -36,7 +78,9 @@ export function createListCommand(program) {
   program
     .command('list')
     .description('List all worktrees')
-    .action(async () => {
-      await listWorktrees();
+    .option('--json', 'Print the worktrees as JSON')
+    .option('--porcelain', 'Print one tab-separated line per worktree')
+    .action(async (options) => {
+      await listWorktrees(options);
     });
 }
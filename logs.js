@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import isGitRepository from './utils/isGitRepository.js';
+import getWorktrees from './utils/getWorktrees.js';
+import findWorktreeForBranch from './utils/findWorktreeForBranch.js';
+import formatAge from './utils/formatAge.js';
+import shellQuote from './utils/shellQuote.js';
+import { getHeadlessPaths, readHeadlessStatus } from './utils/headless.js';
+
+const FOLLOW_INTERVAL_MS = 500;
+
+function formatStatus(status) {
+  const age = formatAge(new Date(status.startedAt));
+  switch (status.state) {
+    case 'running':
+      return chalk.blue(`● running (pid ${status.pid}, started ${age} ago)`);
+    case 'succeeded':
+      return chalk.green(`✔ succeeded (exit code 0, started ${age} ago)`);
+    case 'failed':
+      return chalk.red(
+        `✖ failed (${status.signal ? `killed by ${status.signal}` : `exit code ${status.exitCode}`}, started ${age} ago)`
+      );
+    default:
+      return chalk.yellow(`⚠ interrupted (the runner stopped without recording an exit)`);
+  }
+}
+
+function getLastLines(content, count) {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return count === 0 ? [] : lines.slice(-count);
+}
+
+async function selectHeadlessWorktree() {
+  const withRuns = getWorktrees().filter((wt) => readHeadlessStatus(wt.path));
+
+  if (withRuns.length === 0) {
+    console.log(
+      chalk.yellow('No headless runs found. Start one with: spawn <branch-name> -H -p "<prompt>"')
+    );
+    return null;
+  }
+
+  const choices = withRuns.map((wt) => {
+    const branch = wt.branch ? wt.branch.replace('refs/heads/', '') : 'detached HEAD';
+    return {
+      name: `${chalk.blue(path.basename(wt.path))} ${chalk.gray(`(${branch})`)} ${formatStatus(readHeadlessStatus(wt.path))}`,
+      value: wt,
+    };
+  });
+
+  choices.push(new inquirer.Separator());
+  choices.push({
+    name: chalk.gray('Cancel'),
+    value: null,
+  });
+
+  const { selection } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'selection',
+      message: 'Select a worktree to show the log of:',
+      choices: choices,
+      pageSize: 15,
+    },
+  ]);
+
+  return selection;
+}
+
+function followLog(worktreePath, logPath, offset) {
+  return new Promise((resolve) => {
+    let position = offset;
+
+    const readNew = () => {
+      const size = fs.existsSync(logPath) ? fs.statSync(logPath).size : 0;
+      if (size > position) {
+        const fd = fs.openSync(logPath, 'r');
+        const buffer = Buffer.alloc(size - position);
+        fs.readSync(fd, buffer, 0, buffer.length, position);
+        fs.closeSync(fd);
+        process.stdout.write(buffer);
+        position = size;
+      }
+    };
+
+    const timer = setInterval(() => {
+      readNew();
+      const status = readHeadlessStatus(worktreePath);
+      if (!status || status.state !== 'running') {
+        clearInterval(timer);
+        readNew();
+        resolve(status);
+      }
+    }, FOLLOW_INTERVAL_MS);
+  });
+}
+
+export async function logsCommand(branchName, options = {}) {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  const lineCount = Number.parseInt(options.lines ?? '50', 10);
+  if (!Number.isInteger(lineCount) || lineCount < 0) {
+    console.error(chalk.red('Error: --lines must be a non-negative number'));
+    process.exit(1);
+  }
+
+  let worktree;
+  if (branchName) {
+    worktree = findWorktreeForBranch(branchName);
+    if (!worktree) {
+      console.error(chalk.red(`Error: No worktree found for branch '${branchName}'`));
+      process.exit(1);
+    }
+  } else {
+    worktree = await selectHeadlessWorktree();
+    if (!worktree) {
+      return;
+    }
+  }
+
+  const status = readHeadlessStatus(worktree.path);
+  const paths = getHeadlessPaths(worktree.path);
+  if (!status || !paths) {
+    console.error(chalk.red(`Error: No headless run found for ${path.basename(worktree.path)}`));
+    console.log(chalk.yellow('Start one with: spawn <branch-name> --headless --prompt "<prompt>"'));
+    process.exit(1);
+  }
+
+  console.log(chalk.cyan.bold(`\n📜 ${path.basename(worktree.path)}`), formatStatus(status));
+  console.log(chalk.gray(`Command: ${status.command.map(shellQuote).join(' ')}`));
+  console.log(chalk.gray(`Log: ${paths.logPath}\n`));
+
+  const content = fs.existsSync(paths.logPath) ? fs.readFileSync(paths.logPath, 'utf8') : '';
+  const lines = getLastLines(content, lineCount);
+  if (lines.length > 0) {
+    console.log(lines.join('\n'));
+  }
+
+  if (options.follow && status.state === 'running') {
+    const finalStatus = await followLog(worktree.path, paths.logPath, Buffer.byteLength(content));
+    if (finalStatus) {
+      console.log(`\n${formatStatus(finalStatus)}`);
+    }
+  }
+}
+
+export function createLogsCommand(program) {
+  program
+    .command('logs [branch-name]')
+    .description('Show the output of the headless run in a worktree')
+    .option('-f, --follow', 'Keep printing new output until the run finishes')
+    .option('--lines <count>', 'Number of lines to show from the end of the log', '50')
+    .action(async (branchName, options) => {
+      await logsCommand(branchName, options);
+    });
+}
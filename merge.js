@@ -1,4 +1,3 @@
-import { execSync } from 'child_process';
 import path from 'path';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
@@ -10,31 +9,76 @@ import getWorktrees from './utils/getWorktrees.js';
 import { removeWorktree } from './utils/removeWorktree.js';
 import processDiffOutput from './utils/processDiffOutput.js';
 import setTerminalTabName from './utils/setTerminalTabName.js';
+import loadConfig from './utils/loadConfig.js';
+import { updateRegistryEntry } from './utils/registry.js';
+import { git, gitOrThrow } from './utils/run.js';
+import getBranchAheadBehind from './utils/getBranchAheadBehind.js';
+import getBranchChanges from './utils/getBranchChanges.js';
+import mergeBranch, { resolveMergeStrategy } from './utils/mergeBranch.js';
+import runMergeQueue from './utils/runMergeQueue.js';
+import resolveConflictsWithAgent from './utils/resolveConflictsWithAgent.js';
+import renderTable from './utils/renderTable.js';
+import { branchChangeRecords, getOutputFormat, printJson, printPorcelain } from './utils/output.js';
+
+const STRATEGY_LABELS = {
+  merge: 'merge',
+  squash: 'squash merge',
+  rebase: 'rebase and fast-forward',
+  'ff-only': 'fast-forward',
+};
 
 function hasUncommittedChanges() {
-  try {
-    const result = execSync('git status --porcelain', { encoding: 'utf8' });
-    return result.trim().length > 0;
-  } catch {
-    return false;
+  const result = git(['status', '--porcelain']);
+  return result.ok && result.stdout.trim().length > 0;
+}
+
+async function confirmRemoveAfterMerge(branchName, config, defaultAnswer) {
+  const { removeAfterMerge } = config.merge;
+  if (removeAfterMerge === 'always' || removeAfterMerge === 'never') {
+    return removeAfterMerge === 'always';
   }
+
+  const { removeBranch } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'removeBranch',
+      message: `Do you want to remove the branch '${branchName}' and its worktree?`,
+      default: defaultAnswer,
+    },
+  ]);
+  return removeBranch;
 }
 
-function getBranchAheadBehind(branch, baseBranch) {
-  try {
-    const result = execSync(`git rev-list --left-right --count ${baseBranch}...${branch}`, {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'], // Suppress stderr
-    });
-    const [behind, ahead] = result.trim().split('\t').map(Number);
-    return { ahead, behind };
-  } catch {
-    // Return null to indicate the branch comparison failed
-    return null;
+async function confirmResolveWithAgent(config, mergeOptions) {
+  const { resolveWithAgent } = config.merge;
+  if (mergeOptions.resolveWithAgent || resolveWithAgent === 'always') {
+    return true;
+  }
+  if (resolveWithAgent !== 'ask') {
+    return false;
   }
+
+  const { handOff } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'handOff',
+      message: `Do you want ${config.editor} to resolve the conflicts?`,
+      default: true,
+    },
+  ]);
+  return handOff;
 }
 
-async function performMerge(branchName, currentBranch) {
+/**
+ * Merge a branch into the current branch after showing what it brings in
+ * @param {string} branchName - Branch to merge
+ * @param {string} currentBranch - Branch checked out here
+ * @param {object} config - Spawn config
+ * @param {{strategy: string, edit: boolean, resolveWithAgent: boolean}} mergeOptions - See
+ *   mergeBranch; resolveWithAgent hands conflicts to the agent without asking
+ * @returns {Promise<boolean>} True if the branch was merged or had nothing to merge
+ */
+async function performMerge(branchName, currentBranch, config, mergeOptions) {
   // Set terminal tab name to show merge operation
   setTerminalTabName(`merge ${branchName}`);
 
@@ -56,18 +100,12 @@ async function performMerge(branchName, currentBranch) {
     // Check for uncommitted changes
     if (hasUncommittedChanges()) {
       // Check if we're in the middle of a merge
-      const status = execSync('git status --porcelain', { encoding: 'utf8' });
+      const status = git(['status', '--porcelain']).stdout;
       const hasConflicts =
         status.includes('UU ') || status.includes('AA ') || status.includes('DD ');
 
       // Also check if MERGE_HEAD exists (indicates an ongoing merge)
-      let inMergeState = false;
-      try {
-        execSync('git rev-parse --verify MERGE_HEAD', { stdio: 'pipe' });
-        inMergeState = true;
-      } catch {
-        // MERGE_HEAD doesn't exist, not in merge state
-      }
+      const inMergeState = git(['rev-parse', '--verify', 'MERGE_HEAD']).ok;
 
       if (hasConflicts || inMergeState) {
         console.error(chalk.red('Error: You have an unresolved merge from a previous operation.'));
@@ -135,20 +173,14 @@ async function performMerge(branchName, currentBranch) {
       console.log(chalk.blue('\nChanges:'));
       try {
         // Show staged changes
-        const stagedDiff = execSync('git --no-pager diff --cached --color=always', {
-          encoding: 'utf8',
-          maxBuffer: 1024 * 1024 * 10,
-        });
+        const stagedDiff = gitOrThrow(['--no-pager', 'diff', '--cached', '--color=always']).stdout;
         if (stagedDiff.trim()) {
           console.log(chalk.gray('\nStaged changes:'));
           console.log(processDiffOutput(stagedDiff, 300));
         }
 
         // Show unstaged changes
-        const unstagedDiff = execSync('git --no-pager diff --color=always', {
-          encoding: 'utf8',
-          maxBuffer: 1024 * 1024 * 10,
-        });
+        const unstagedDiff = gitOrThrow(['--no-pager', 'diff', '--color=always']).stdout;
         if (unstagedDiff.trim()) {
           console.log(chalk.gray('\nUnstaged changes:'));
           console.log(processDiffOutput(unstagedDiff, 300));
@@ -183,8 +215,8 @@ async function performMerge(branchName, currentBranch) {
             },
           ]);
           try {
-            execSync('git add -A', { stdio: 'inherit' });
-            execSync(`git commit -m "${commitMessage}"`, { stdio: 'inherit' });
+            gitOrThrow(['add', '-A'], { stdio: 'inherit' });
+            gitOrThrow(['commit', '-m', commitMessage], { stdio: 'inherit' });
             console.log(chalk.green('✅ Changes committed successfully'));
           } catch {
             console.error(chalk.red('Failed to commit changes'));
@@ -197,7 +229,7 @@ async function performMerge(branchName, currentBranch) {
 
         case 'stash':
           try {
-            execSync('git stash push -m "Pre-merge stash"', { stdio: 'inherit' });
+            gitOrThrow(['stash', 'push', '-m', 'Pre-merge stash'], { stdio: 'inherit' });
             console.log(chalk.green('✅ Changes stashed successfully'));
           } catch {
             console.error(chalk.red('Failed to stash changes'));
@@ -220,7 +252,7 @@ async function performMerge(branchName, currentBranch) {
           ]);
           if (confirmDiscard) {
             try {
-              execSync('git reset --hard', { stdio: 'inherit' });
+              gitOrThrow(['reset', '--hard'], { stdio: 'inherit' });
               console.log(chalk.yellow('⚠️  All changes discarded'));
             } catch {
               console.error(chalk.red('Failed to discard changes'));
@@ -257,16 +289,7 @@ async function performMerge(branchName, currentBranch) {
         console.log(chalk.yellow(`\nBranch '${branchName}' has no new commits to merge.`));
 
         // Ask if user wants to remove the branch/worktree
-        const { removeBranch } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'removeBranch',
-            message: `Do you want to remove the branch '${branchName}' and its worktree?`,
-            default: false,
-          },
-        ]);
-
-        if (removeBranch) {
+        if (await confirmRemoveAfterMerge(branchName, config, false)) {
           console.log(chalk.yellow(`\nRemoving branch '${branchName}' and its worktree...`));
           await removeWorktree(branchName, { forceDeleteBranch: true });
         }
@@ -282,24 +305,29 @@ async function performMerge(branchName, currentBranch) {
 
     // Show preview of commits to be merged
     console.log(chalk.blue('\nCommits to be merged:'));
-    execSync(`git --no-pager log --oneline --color=always ${currentBranch}..${branchName}`, {
-      stdio: 'inherit',
-    });
+    gitOrThrow(
+      ['--no-pager', 'log', '--oneline', '--color=always', `${currentBranch}..${branchName}`],
+      { stdio: 'inherit' }
+    );
 
     // Show file changes summary
     console.log(chalk.blue('\nFiles to be changed:'));
-    execSync(`git --no-pager diff --stat --color=always ${currentBranch}...${branchName}`, {
-      stdio: 'inherit',
-    });
+    gitOrThrow(
+      ['--no-pager', 'diff', '--stat', '--color=always', `${currentBranch}...${branchName}`],
+      { stdio: 'inherit' }
+    );
 
     // Show actual diff (limited to prevent overwhelming output)
     console.log(chalk.blue('\nChanges preview:'));
     try {
       // Get diff with context limited to 3 lines and no more than 500 lines total
-      const diffOutput = execSync(
-        `git --no-pager diff --color=always --unified=3 ${currentBranch}...${branchName}`,
-        { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 } // 10MB buffer
-      );
+      const diffOutput = gitOrThrow([
+        '--no-pager',
+        'diff',
+        '--color=always',
+        '--unified=3',
+        `${currentBranch}...${branchName}`,
+      ]).stdout;
 
       console.log(processDiffOutput(diffOutput, 500));
     } catch {
@@ -323,71 +351,75 @@ async function performMerge(branchName, currentBranch) {
       return false;
     }
 
-    // Perform the merge with automatic commit message
-    console.log(chalk.yellow('\nPerforming merge...'));
-    const mergeMessage = `Merge branch '${branchName}' into ${currentBranch}`;
-
-    try {
-      execSync(`git merge ${branchName} -m "${mergeMessage}"`, { stdio: 'inherit' });
-
-      console.log(chalk.green(`\n✅ Successfully merged '${branchName}' into '${currentBranch}'`));
-
-      // Show merge summary
-      console.log(chalk.blue('\nMerge summary:'));
-      execSync('git --no-pager log --oneline --color=always -1', { stdio: 'inherit' });
-
-      // Ask if user wants to remove the merged branch/worktree
-      const { removeBranch } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'removeBranch',
-          message: `Do you want to remove the branch '${branchName}' and its worktree?`,
-          default: true,
-        },
-      ]);
+    console.log(chalk.yellow(`\nPerforming ${STRATEGY_LABELS[mergeOptions.strategy]}...`));
+    const result = mergeBranch(branchName, currentBranch, {
+      ...mergeOptions,
+      message: `Merge branch '${branchName}' into ${currentBranch}`,
+    });
 
-      if (removeBranch) {
-        console.log(chalk.yellow(`\nRemoving branch '${branchName}' and its worktree...`));
-        await removeWorktree(branchName, { forceDeleteBranch: true });
+    if (!result.ok) {
+      if (result.conflicts.length === 0) {
+        console.error(chalk.red(`\nError during merge: ${result.error}`));
+        // Restore terminal tab name
+        setTerminalTabName(currentBranch);
+        return false;
       }
 
-      // Restore terminal tab name to current branch
-      setTerminalTabName(currentBranch);
-    } catch (mergeError) {
-      // Check if this is a merge conflict
-      const status = execSync('git status --porcelain', { encoding: 'utf8' });
-      if (status.includes('UU ') || status.includes('AA ') || status.includes('DD ')) {
-        // Merge conflict detected
-        console.log(chalk.yellow('\n⚠️  Merge conflict detected!'));
-        console.log(chalk.blue('\nConflicted files:'));
+      console.log(chalk.yellow('\n⚠️  Merge conflict detected!'));
+      console.log(chalk.blue('\nConflicted files:'));
+      result.conflicts.forEach((file) => {
+        console.log(chalk.red(`  • ${file}`));
+      });
 
-        // Show conflicted files
-        const conflictedFiles = status
-          .split('\n')
-          .filter(
-            (line) => line.startsWith('UU ') || line.startsWith('AA ') || line.startsWith('DD ')
+      // A conflicted rebase is aborted, so only merges and squashes are left to resolve here
+      const isRebase = mergeOptions.strategy === 'rebase';
+      if (
+        isRebase &&
+        (mergeOptions.resolveWithAgent || config.merge.resolveWithAgent === 'always')
+      ) {
+        console.log(
+          chalk.yellow(
+            '\nThe agent is not used with --rebase: the rebase was aborted, so there is nothing to resolve'
           )
-          .map((line) => line.substring(3));
-
-        conflictedFiles.forEach((file) => {
-          console.log(chalk.red(`  • ${file}`));
-        });
-
+        );
+      }
+      const resolved =
+        !isRebase &&
+        (await confirmResolveWithAgent(config, mergeOptions)) &&
+        (await resolveConflictsWithAgent(branchName, currentBranch, result.conflicts, config, {
+          edit: mergeOptions.edit,
+        }));
+
+      if (!resolved) {
         console.log(chalk.yellow('\n📝 To resolve:'));
-        console.log(chalk.gray('1. Fix the conflicts in the listed files'));
-        console.log(chalk.gray('2. Stage the resolved files: git add <file>'));
-        console.log(chalk.gray('3. Complete the merge: git commit'));
-        console.log(chalk.gray('4. Or abort the merge: git merge --abort'));
+        result.resolution.forEach((line) => {
+          console.log(chalk.gray(line));
+        });
 
         // Restore terminal tab name
         setTerminalTabName(currentBranch);
         return false;
       }
+    }
 
-      // Other merge error
-      throw mergeError;
+    console.log(chalk.green(`\n✅ Successfully merged '${branchName}' into '${currentBranch}'`));
+    updateRegistryEntry(branchName, {
+      mergedAt: new Date().toISOString(),
+      mergedInto: currentBranch,
+    });
+
+    // Show merge summary
+    console.log(chalk.blue('\nMerge summary:'));
+    git(['--no-pager', 'log', '--oneline', '--color=always', '-1'], { stdio: 'inherit' });
+
+    // Ask if user wants to remove the merged branch/worktree
+    if (await confirmRemoveAfterMerge(branchName, config, true)) {
+      console.log(chalk.yellow(`\nRemoving branch '${branchName}' and its worktree...`));
+      await removeWorktree(branchName, { forceDeleteBranch: true });
     }
 
+    // Restore terminal tab name to current branch
+    setTerminalTabName(currentBranch);
     return true;
   } catch (error) {
     console.error(chalk.red(`\nError during merge: ${error.message}`));
@@ -397,7 +429,68 @@ async function performMerge(branchName, currentBranch) {
   }
 }
 
-async function interactiveMerge() {
+function getMergeCandidates(currentBranch) {
+  // Get local branches only (not remote branches)
+  const branches = getLocalBranches().filter((branch) => branch !== currentBranch);
+  const worktrees = getWorktrees();
+  const gitRoot = getGitRootDirectory();
+
+  return (
+    branches
+      .map((branch) => {
+        const worktree = worktrees.find(
+          (wt) => wt.branch && wt.branch.replace('refs/heads/', '') === branch
+        );
+        const branchInfo = getBranchAheadBehind(branch, currentBranch);
+        return {
+          branch,
+          ahead: branchInfo ? branchInfo.ahead : null,
+          behind: branchInfo ? branchInfo.behind : null,
+          worktree: worktree ? worktree.path : null,
+          isCurrentWorktree: Boolean(worktree) && worktree.path === gitRoot,
+        };
+      })
+      // Sort by branches with commits to merge first
+      .sort((a, b) => (b.ahead || 0) - (a.ahead || 0))
+  );
+}
+
+function printMergePreview(format, branchName, currentBranch) {
+  if (!getLocalBranches().includes(branchName)) {
+    console.error(`Error: Branch '${branchName}' does not exist`);
+    process.exit(1);
+  }
+
+  let changes;
+  try {
+    changes = getBranchChanges(branchName, currentBranch);
+  } catch (error) {
+    console.error(`Error: Could not preview the merge: ${error.message}`);
+    process.exit(1);
+  }
+
+  const branchInfo = getBranchAheadBehind(branchName, currentBranch);
+  const preview = {
+    branch: branchName,
+    into: currentBranch,
+    ahead: branchInfo ? branchInfo.ahead : null,
+    behind: branchInfo ? branchInfo.behind : null,
+    uncommittedChanges: hasUncommittedChanges(),
+    mergeInProgress: git(['rev-parse', '--verify', 'MERGE_HEAD']).ok,
+    ...changes,
+  };
+
+  if (format === 'json') {
+    printJson(preview);
+  } else {
+    printPorcelain([
+      ['merge', preview.branch, preview.into, preview.ahead, preview.behind],
+      ...branchChangeRecords(changes),
+    ]);
+  }
+}
+
+async function interactiveMerge(config, mergeOptions) {
   console.log(chalk.cyan.bold('\n🔀 Git Merge Tool\n'));
 
   const currentBranch = getCurrentBranch();
@@ -408,42 +501,28 @@ async function interactiveMerge() {
 
   console.log(chalk.gray(`Current branch: ${chalk.white(currentBranch)}`));
 
-  // Get local branches only (not remote branches)
-  const branches = getLocalBranches().filter((branch) => branch !== currentBranch);
+  const candidates = getMergeCandidates(currentBranch);
 
-  if (branches.length === 0) {
+  if (candidates.length === 0) {
     console.log(chalk.yellow('No other branches available to merge.'));
     return;
   }
 
-  // Get worktrees for additional context
-  const worktrees = getWorktrees();
-  const gitRoot = getGitRootDirectory();
-
   // Build choices with branch info
-  const choices = branches.map((branch) => {
-    const worktree = worktrees.find(
-      (wt) => wt.branch && wt.branch.replace('refs/heads/', '') === branch
-    );
-
-    const branchInfo = getBranchAheadBehind(branch, currentBranch);
-
+  const choices = candidates.map(({ branch, ahead, behind, worktree, isCurrentWorktree }) => {
     let name = chalk.yellow(branch);
 
     // Add ahead/behind info if available
-    if (branchInfo) {
-      const { ahead, behind } = branchInfo;
-      if (ahead > 0 || behind > 0) {
-        const status = [];
-        if (ahead > 0) status.push(chalk.green(`↑${ahead}`));
-        if (behind > 0) status.push(chalk.red(`↓${behind}`));
-        name += chalk.gray(` (${status.join(' ')})`);
-      }
+    if (ahead > 0 || behind > 0) {
+      const status = [];
+      if (ahead > 0) status.push(chalk.green(`↑${ahead}`));
+      if (behind > 0) status.push(chalk.red(`↓${behind}`));
+      name += chalk.gray(` (${status.join(' ')})`);
     }
 
     // Add worktree info
-    if (worktree && worktree.path !== gitRoot) {
-      name += chalk.gray(` [${path.basename(worktree.path)}]`);
+    if (worktree && !isCurrentWorktree) {
+      name += chalk.gray(` [${path.basename(worktree)}]`);
     }
 
     return {
@@ -452,15 +531,6 @@ async function interactiveMerge() {
     };
   });
 
-  // Sort by branches with commits to merge first
-  choices.sort((a, b) => {
-    const aMatch = a.name.match(/↑(\d+)/);
-    const bMatch = b.name.match(/↑(\d+)/);
-    const aAhead = aMatch ? parseInt(aMatch[1]) : 0;
-    const bAhead = bMatch ? parseInt(bMatch[1]) : 0;
-    return bAhead - aAhead;
-  });
-
   // Add separator and cancel option
   choices.push(new inquirer.Separator());
   choices.push({
@@ -486,10 +556,136 @@ async function interactiveMerge() {
   // Clean the branch name in case it has any unwanted prefixes
   const cleanBranchName = selectedBranch.replace(/^[+-]\s*/, '').trim();
 
-  await performMerge(cleanBranchName, currentBranch);
+  await performMerge(cleanBranchName, currentBranch, config, mergeOptions);
 }
 
-export async function mergeCommand(branchName) {
+async function selectQueueBranches(currentBranch) {
+  const candidates = getMergeCandidates(currentBranch).filter(
+    (candidate) => !candidate.isCurrentWorktree && candidate.ahead !== 0
+  );
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const { branches } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'branches',
+      message: 'Select the branches to merge, in the order shown:',
+      choices: candidates.map(({ branch, ahead, worktree }) => ({
+        name:
+          chalk.yellow(branch) +
+          chalk.gray(` (↑${ahead ?? '?'})`) +
+          (worktree ? chalk.gray(` [${path.basename(worktree)}]`) : ''),
+        value: branch,
+      })),
+      pageSize: 15,
+    },
+  ]);
+  return branches;
+}
+
+function printQueueReport(results) {
+  const statusColors = {
+    landed: chalk.green,
+    'up to date': chalk.gray,
+    conflicted: chalk.red,
+    failed: chalk.red,
+    waiting: chalk.yellow,
+  };
+
+  console.log();
+  console.log(
+    renderTable(
+      ['#', 'Branch', 'Result', 'Details'],
+      results.map((result, index) => [
+        chalk.gray(String(index + 1)),
+        chalk.yellow(result.branch),
+        statusColors[result.status](result.status),
+        chalk.gray(result.details),
+      ])
+    )
+  );
+
+  const landed = results.filter((result) => ['landed', 'up to date'].includes(result.status));
+  const waiting = results.filter((result) => !landed.includes(result));
+  console.log(chalk.green(`\nLanded: ${landed.map((result) => result.branch).join(' ') || '—'}`));
+  if (waiting.length > 0) {
+    console.log(chalk.yellow(`Still waiting: ${waiting.map((result) => result.branch).join(' ')}`));
+  }
+}
+
+async function mergeQueue(branches, currentBranch, config, options) {
+  if (branches.length === 0) {
+    branches = await selectQueueBranches(currentBranch);
+    if (branches.length === 0) {
+      console.log(chalk.gray('No branches selected.'));
+      return;
+    }
+  }
+
+  const localBranches = getLocalBranches();
+  for (const branch of branches) {
+    if (!localBranches.includes(branch)) {
+      console.error(chalk.red(`Error: Branch '${branch}' does not exist locally`));
+      process.exit(1);
+    }
+    if (branch === currentBranch) {
+      console.error(chalk.red(`Error: Cannot merge '${branch}' into itself`));
+      process.exit(1);
+    }
+  }
+  if (new Set(branches).size !== branches.length) {
+    console.error(chalk.red('Error: A branch is listed more than once'));
+    process.exit(1);
+  }
+
+  // Every step is rolled back with a hard reset, so there must be nothing to lose
+  if (hasUncommittedChanges() || git(['rev-parse', '--verify', 'MERGE_HEAD']).ok) {
+    console.error(chalk.red('Error: The merge queue needs a clean worktree'));
+    console.log(chalk.yellow('Commit, stash or discard your changes first'));
+    process.exit(1);
+  }
+
+  const verify = options.verify === false ? null : options.verify || config.merge.verify;
+  console.log(chalk.cyan.bold(`\n🚦 Merge queue into ${currentBranch}\n`));
+  branches.forEach((branch, index) => {
+    console.log(chalk.gray(`${index + 1}. `) + chalk.yellow(branch));
+  });
+  console.log(chalk.gray(`\nStrategy: ${options.strategy}`));
+  console.log(chalk.gray(`Verify: ${verify || 'none'}`));
+
+  if (!options.yes) {
+    const { confirmQueue } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmQueue',
+        message: `Merge ${branches.length} branch(es) into '${currentBranch}'?`,
+        default: true,
+      },
+    ]);
+    if (!confirmQueue) {
+      console.log(chalk.gray('Merge cancelled.'));
+      return;
+    }
+  }
+
+  setTerminalTabName(`merge queue (${branches.length})`);
+  const results = runMergeQueue(branches, currentBranch, config, {
+    strategy: options.strategy,
+    verify,
+  });
+  setTerminalTabName(currentBranch);
+  printQueueReport(results);
+
+  if (results.some((result) => result.status === 'conflicted' || result.status === 'failed')) {
+    process.exit(1);
+  }
+}
+
+export async function mergeCommand(branchName, options = {}) {
+  const format = getOutputFormat(options);
+
   if (!isGitRepository()) {
     console.error(chalk.red('Error: Not in a git repository'));
     process.exit(1);
@@ -501,12 +697,57 @@ export async function mergeCommand(branchName) {
     process.exit(1);
   }
 
-  if (branchName) {
+  if (format && options.queue) {
+    console.error(chalk.red('Error: --queue cannot be combined with --json or --porcelain'));
+    process.exit(1);
+  }
+  if (format && branchName) {
+    // Preview only; a merge is never started in machine-readable mode
+    printMergePreview(format, branchName, currentBranch);
+    return;
+  }
+  if (format) {
+    // The branches the interactive picker would offer
+    const candidates = getMergeCandidates(currentBranch);
+    if (format === 'json') {
+      printJson({ currentBranch, branches: candidates });
+    } else {
+      printPorcelain(
+        candidates.map((candidate) => [
+          'branch',
+          candidate.branch,
+          candidate.worktree,
+          candidate.ahead,
+          candidate.behind,
+        ])
+      );
+    }
+    return;
+  }
+
+  const config = loadConfig();
+  const mergeOptions = {
+    strategy: resolveMergeStrategy(options, config),
+    // Only open the editor on the squash message when someone can type into it
+    edit: options.edit !== false && Boolean(process.stdin.isTTY),
+    resolveWithAgent: Boolean(options.resolveWithAgent),
+  };
+
+  if (options.queue) {
+    // Queue mode; a branch given before --queue goes first
+    const queued = Array.isArray(options.queue) ? options.queue : [];
+    const branches = branchName ? [branchName, ...queued] : queued;
+    await mergeQueue(branches, currentBranch, config, {
+      strategy: mergeOptions.strategy,
+      verify: options.verify,
+      yes: options.yes,
+    });
+  } else if (branchName) {
     // Direct merge mode
-    await performMerge(branchName, currentBranch);
+    await performMerge(branchName, currentBranch, config, mergeOptions);
   } else {
     // Interactive mode
-    await interactiveMerge();
+    await interactiveMerge(config, mergeOptions);
   }
 }
 
@@ -514,7 +755,21 @@ export function createMergeCommand(program) {
   program
     .command('merge [branch-name]')
     .description('Merge another branch into the current branch')
-    .action(async (branchName) => {
-      await mergeCommand(branchName);
+    .option('--json', 'Print a preview of the merge as JSON instead of merging')
+    .option('--porcelain', 'Print a tab-separated preview of the merge instead of merging')
+    .option('--squash', 'Squash the branch into a single commit')
+    .option('--rebase', 'Rebase the branch onto the current branch, then fast-forward')
+    .option('--ff-only', 'Only merge when the current branch can be fast-forwarded')
+    .option('--no-edit', 'Commit a squash with the generated message without opening the editor')
+    .option('--resolve-with-agent', 'Launch the configured agent to resolve merge conflicts')
+    .option(
+      '--queue [branches...]',
+      'Merge several branches in order, stopping at the first conflict or failed verification'
+    )
+    .option('--verify <command>', 'With --queue, command that must pass after each merge')
+    .option('--no-verify', 'With --queue, skip the configured verify command')
+    .option('-y, --yes', 'With --queue, start without asking for confirmation')
+    .action(async (branchName, options) => {
+      await mergeCommand(branchName, options);
     });
 }
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import isGitRepository from './utils/isGitRepository.js';
+import getWorktrees from './utils/getWorktrees.js';
+import getMainBranch from './utils/getMainBranch.js';
+import getChangedFiles from './utils/getChangedFiles.js';
+import loadConfig from './utils/loadConfig.js';
+import matchesBranchPattern from './utils/matchesBranchPattern.js';
+import renderTable from './utils/renderTable.js';
+import { getOutputFormat, printJson } from './utils/output.js';
+
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Collect the changed files of every worktree except the main branch's
+ * @returns {Array<{branch: string, path: string, files: string[]}>}
+ */
+function collectWorktreeChanges(mainBranch, patterns) {
+  return getWorktrees()
+    .map((wt) => ({
+      branch: wt.branch ? wt.branch.replace('refs/heads/', '') : null,
+      path: wt.path,
+    }))
+    .filter(
+      (wt) =>
+        wt.branch &&
+        wt.branch !== mainBranch &&
+        fs.existsSync(wt.path) &&
+        (patterns.length === 0 ||
+          patterns.some((pattern) => matchesBranchPattern(wt.branch, pattern)))
+    )
+    .map((wt) => ({ ...wt, files: getChangedFiles(wt.path, mainBranch) }));
+}
+
+/**
+ * Group the changed files by path, keeping those that more than one branch touches
+ * @returns {Array<{path: string, branches: string[]}>} Most widely touched files first
+ */
+function findOverlappingFiles(worktrees) {
+  const branchesByFile = new Map();
+  for (const wt of worktrees) {
+    for (const file of wt.files) {
+      branchesByFile.set(file, [...(branchesByFile.get(file) || []), wt.branch]);
+    }
+  }
+
+  return [...branchesByFile]
+    .filter(([, branches]) => branches.length > 1)
+    .map(([file, branches]) => ({ path: file, branches }))
+    .sort((a, b) => b.branches.length - a.branches.length || a.path.localeCompare(b.path));
+}
+
+function sharedFiles(a, b) {
+  const files = new Set(b.files);
+  return a.files.filter((file) => files.has(file));
+}
+
+function printMatrix(worktrees) {
+  const rows = worktrees.map((wt, row) => [
+    chalk.gray(String(row + 1)),
+    chalk.yellow(wt.branch),
+    ...worktrees.map((other, column) => {
+      if (row === column) return chalk.gray('·');
+      const count = sharedFiles(wt, other).length;
+      return count > 0 ? chalk.red(String(count)) : chalk.gray('0');
+    }),
+  ]);
+
+  console.log(
+    renderTable(['#', 'Branch', ...worktrees.map((wt, index) => String(index + 1))], rows)
+  );
+  console.log(chalk.gray('\nEach cell counts the files both branches change.'));
+}
+
+function printFileList(overlapping) {
+  console.log(
+    renderTable(
+      ['File', 'Branches'],
+      overlapping.map((file) => [
+        chalk.white(file.path),
+        file.branches.map((branch) => chalk.yellow(branch)).join(chalk.gray(', ')),
+      ])
+    )
+  );
+}
+
+export async function overlapCommand(options = {}) {
+  const format = getOutputFormat(options);
+
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  const mainBranch = getMainBranch(loadConfig());
+  const worktrees = collectWorktreeChanges(mainBranch, options.branch || []);
+  const overlapping = findOverlappingFiles(worktrees);
+
+  if (format) {
+    printJson({
+      baseBranch: mainBranch,
+      worktrees: worktrees.map((wt) => ({
+        branch: wt.branch,
+        path: wt.path,
+        name: path.basename(wt.path),
+        files: wt.files,
+      })),
+      overlaps: overlapping,
+    });
+    return;
+  }
+
+  console.log(
+    chalk.cyan.bold(`\n🗺️  Files changed in more than one of ${worktrees.length} worktree(s)\n`)
+  );
+
+  if (worktrees.length < 2) {
+    console.log(chalk.yellow('At least two worktree branches are needed to compare.'));
+    return;
+  }
+
+  if (options.matrix) {
+    printMatrix(worktrees);
+  } else if (overlapping.length === 0) {
+    console.log(chalk.green('No file is changed in more than one worktree.'));
+  } else {
+    printFileList(overlapping);
+  }
+
+  if (overlapping.length > 0) {
+    console.log(
+      chalk.gray(
+        `\n${overlapping.length} shared file(s). Check for merge conflicts with: spawn conflicts`
+      )
+    );
+  }
+}
+
+export function createOverlapCommand(program) {
+  program
+    .command('overlap')
+    .description('Show which files are changed in more than one worktree')
+    .option('--matrix', 'Show a matrix of shared file counts between branches instead')
+    .option(
+      '--branch <pattern>',
+      'Only worktrees whose branch matches the pattern, e.g. "claude/*" (repeatable)',
+      collect
+    )
+    .option('--json', 'Print the changed files and overlaps as JSON')
+    .action(async (options) => {
+      await overlapCommand(options);
+    });
+}
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import isGitRepository from './utils/isGitRepository.js';
+import getGitRootDirectory from './utils/getGitRootDirectory.js';
+import getWorktrees from './utils/getWorktrees.js';
+import getMainBranch from './utils/getMainBranch.js';
+import loadConfig from './utils/loadConfig.js';
+import renderTable from './utils/renderTable.js';
+import formatAge from './utils/formatAge.js';
+import { removeWorktree } from './utils/removeWorktree.js';
+import { getRegistryEntry } from './utils/registry.js';
+import { readHeadlessStatus } from './utils/headless.js';
+import { getSessionName, hasSession } from './utils/tmux.js';
+import { git } from './utils/run.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Commit a branch was created at, from the oldest entry of its reflog
+ * @returns {string|null} Null if the branch has no reflog
+ */
+function getCreationCommit(branchName) {
+  const result = git(['reflog', 'show', '--format=%H', `refs/heads/${branchName}`]);
+  const entries = result.ok ? result.stdout.trim().split('\n').filter(Boolean) : [];
+  return entries.length > 0 ? entries[entries.length - 1] : null;
+}
+
+/**
+ * Whether a branch landed in the main branch. Squashed and rebased branches are not
+ * ancestors of main, so spawn's own merge record and patch equivalence count as well.
+ */
+function isMergedInto(branchName, mainBranch) {
+  const entry = getRegistryEntry(branchName);
+  if (entry && entry.mergedAt && (!entry.mergedInto || entry.mergedInto === mainBranch)) {
+    return true;
+  }
+
+  // A branch without commits of its own is contained in main as well, yet nothing was merged
+  const created = getCreationCommit(branchName);
+  if (!created || created === git(['rev-parse', branchName]).stdout.trim()) {
+    return false;
+  }
+
+  if (git(['merge-base', '--is-ancestor', branchName, mainBranch]).ok) {
+    return true;
+  }
+  // git cherry marks commits whose changes main already has with '-'
+  const cherry = git(['cherry', mainBranch, branchName]);
+  const lines = cherry.ok ? cherry.stdout.trim().split('\n').filter(Boolean) : [];
+  return lines.length > 0 && lines.every((line) => line.startsWith('-'));
+}
+
+function hasRunningSession(worktreePath) {
+  if (hasSession(getSessionName(worktreePath))) {
+    return true;
+  }
+  const headless = readHeadlessStatus(worktreePath);
+  return Boolean(headless) && headless.state === 'running';
+}
+
+function hasUncommittedChanges(worktreePath) {
+  // Without optional locks git status leaves the index, and so the last activity, untouched
+  const result = git(['--no-optional-locks', '-C', worktreePath, 'status', '--porcelain']);
+  return !result.ok || result.stdout.trim().length > 0;
+}
+
+/**
+ * Last time anything happened in a worktree: its newest commit, or the last time its index
+ * was written by staging, checking out or creating the worktree
+ */
+function getLastActivity(worktreePath) {
+  const times = [];
+
+  const commit = git(['-C', worktreePath, 'log', '-1', '--format=%ct']);
+  if (commit.ok && commit.stdout.trim()) {
+    times.push(Number(commit.stdout.trim()) * 1000);
+  }
+
+  const index = git(['-C', worktreePath, 'rev-parse', '--git-path', 'index']);
+  if (index.ok) {
+    try {
+      times.push(fs.statSync(path.resolve(worktreePath, index.stdout.trim())).mtimeMs);
+    } catch {
+      // A worktree without an index has nothing staged yet
+    }
+  }
+
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+function findPruneCandidates(criteria, mainBranch) {
+  const gitRoot = getGitRootDirectory();
+  const candidates = [];
+
+  for (const wt of getWorktrees()) {
+    const branch = wt.branch ? wt.branch.replace('refs/heads/', '') : null;
+    // Detached and locked worktrees, the main branch and this worktree are never pruned
+    if (!branch || branch === mainBranch || wt.locked || wt.path === gitRoot) continue;
+
+    const missing = !fs.existsSync(wt.path);
+    const lastActivity = missing ? null : getLastActivity(wt.path);
+    const reasons = [];
+
+    if (criteria.missing && (missing || wt.prunable)) {
+      reasons.push(missing ? 'missing' : 'prunable');
+    }
+    if (criteria.merged && isMergedInto(branch, mainBranch)) {
+      reasons.push(`merged into ${mainBranch}`);
+    }
+    if (
+      criteria.staleDays !== null &&
+      lastActivity &&
+      Date.now() - lastActivity.getTime() >= criteria.staleDays * DAY_MS
+    ) {
+      reasons.push('stale');
+    }
+
+    if (reasons.length > 0) {
+      candidates.push({
+        path: wt.path,
+        branch,
+        reasons,
+        lastActivity,
+        dirty: !missing && hasUncommittedChanges(wt.path),
+        running: !missing && hasRunningSession(wt.path),
+      });
+    }
+  }
+
+  return candidates;
+}
+
+function parseCriteria(options) {
+  let staleDays = null;
+  if (options.stale !== undefined) {
+    staleDays = Number(options.stale);
+    if (!Number.isFinite(staleDays) || staleDays <= 0) {
+      console.error(chalk.red('Error: --stale must be a positive number of days'));
+      process.exit(1);
+    }
+  }
+
+  // Without any criteria, prune what is certainly finished
+  if (!options.merged && !options.missing && staleDays === null) {
+    return { merged: true, missing: true, staleDays: null };
+  }
+  return { merged: Boolean(options.merged), missing: Boolean(options.missing), staleDays };
+}
+
+export async function pruneCommand(options = {}) {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  const criteria = parseCriteria(options);
+  const mainBranch = getMainBranch(loadConfig());
+  const candidates = findPruneCandidates(criteria, mainBranch);
+
+  if (candidates.length === 0) {
+    console.log(chalk.green('Nothing to prune.'));
+    return;
+  }
+
+  // --force discards uncommitted changes, but never pulls a worktree from under a session
+  const removable = candidates.filter(
+    (candidate) => !candidate.running && (!candidate.dirty || options.force)
+  );
+
+  console.log(chalk.cyan.bold('\n🧹 Worktrees to prune:\n'));
+  console.log(
+    renderTable(
+      ['Worktree', 'Branch', 'Reason', 'Last activity', 'Action'],
+      candidates.map((candidate) => {
+        let action = chalk.green('remove');
+        if (candidate.running) {
+          action = chalk.yellow('keep: session running');
+        } else if (candidate.dirty) {
+          action = options.force
+            ? chalk.red('remove, discarding uncommitted changes')
+            : chalk.yellow('keep: uncommitted changes');
+        }
+        return [
+          chalk.white(path.basename(candidate.path)),
+          chalk.yellow(candidate.branch),
+          candidate.reasons.join(', '),
+          chalk.gray(candidate.lastActivity ? `${formatAge(candidate.lastActivity)} ago` : '—'),
+          action,
+        ];
+      })
+    )
+  );
+
+  const kept = candidates.length - removable.length;
+  const running = candidates.filter((candidate) => candidate.running).length;
+  if (kept > 0) {
+    console.log();
+  }
+  if (running > 0) {
+    console.log(
+      chalk.gray(`${running} worktree(s) with a running session are kept; exit the session first`)
+    );
+  }
+  if (kept > running) {
+    console.log(
+      chalk.gray(
+        `${kept - running} worktree(s) with uncommitted changes are kept; use --force to remove`
+      )
+    );
+  }
+
+  if (removable.length === 0 || options.dryRun) {
+    return;
+  }
+
+  if (!options.yes) {
+    const { confirmPrune } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmPrune',
+        message: `Remove ${removable.length} worktree(s)?`,
+        default: false,
+      },
+    ]);
+    if (!confirmPrune) {
+      console.log(chalk.gray('Cancelled.'));
+      return;
+    }
+  }
+
+  let failed = 0;
+  for (const candidate of removable) {
+    console.log(chalk.blue(`\n${candidate.branch}`));
+    const removed = await removeWorktree(candidate.branch, {
+      interactive: false,
+      discardChanges: Boolean(options.force),
+    });
+    if (!removed) failed++;
+  }
+
+  console.log(chalk.gray(`\n${removable.length - failed} removed, ${failed} failed, ${kept} kept`));
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export function createPruneCommand(program) {
+  program
+    .command('prune')
+    .description('Remove worktrees that are merged, stale or missing')
+    .option('--merged', 'Worktrees whose branch is fully merged into the main branch')
+    .option('--stale <days>', 'Worktrees without commits or staged changes for this many days')
+    .option('--missing', 'Worktrees whose directory is missing or that git reports as prunable')
+    .option('--force', 'Also remove worktrees with uncommitted changes')
+    .option('--dry-run', 'Only show what would be removed')
+    .option('-y, --yes', 'Remove without asking for confirmation')
+    .action(async (options) => {
+      await pruneCommand(options);
+    });
+}
@@ -7,28 +7,67 @@ import getGitRootDirectory from './utils/getGitRootDirectory.js';
 import getWorktrees from './utils/getWorktrees.js';
 import getExistingBranches from './utils/getExistingBranches.js';
 import { removeWorktree } from './utils/removeWorktree.js';
+import loadConfig from './utils/loadConfig.js';
+import getMainBranch from './utils/getMainBranch.js';
+import { readRegistry } from './utils/registry.js';
+import truncate from './utils/truncate.js';
+import {
+  describeWorktree,
+  getOutputFormat,
+  printJson,
+  printPorcelain,
+  worktreeFlags,
+} from './utils/output.js';
 
-async function interactiveRemove() {
+function getRemovalCandidates() {
   const worktrees = getWorktrees();
   const gitRoot = getGitRootDirectory();
-  const currentPath = gitRoot;
 
   // Filter out the current worktree
-  const removableWorktrees = worktrees.filter((wt) => wt.path !== currentPath);
-
-  if (removableWorktrees.length === 0) {
-    console.log(chalk.yellow('No worktrees available to remove.'));
-    return;
-  }
+  const removableWorktrees = worktrees.filter((wt) => wt.path !== gitRoot);
 
   // Get branches without worktrees
   const worktreeBranches = worktrees.map((wt) => wt.branch).filter(Boolean);
   const branches = getExistingBranches();
+  const protectedBranches = ['main', 'master', getMainBranch(loadConfig())];
   const branchesWithoutWorktrees = branches.filter(
     (branch) =>
-      !worktreeBranches.includes(`refs/heads/${branch}`) && branch !== 'main' && branch !== 'master'
+      !worktreeBranches.includes(`refs/heads/${branch}`) && !protectedBranches.includes(branch)
   );
 
+  return { gitRoot, removableWorktrees, branchesWithoutWorktrees };
+}
+
+function printRemovalCandidates(format) {
+  const { gitRoot, removableWorktrees, branchesWithoutWorktrees } = getRemovalCandidates();
+  const registry = readRegistry();
+  const records = removableWorktrees.map((wt) => describeWorktree(wt, gitRoot, registry));
+
+  if (format === 'json') {
+    printJson({ worktrees: records, branchesWithoutWorktrees });
+    return;
+  }
+  printPorcelain([
+    ...records.map((record) => [
+      'worktree',
+      record.path,
+      record.branch,
+      record.head,
+      worktreeFlags(record),
+    ]),
+    ...branchesWithoutWorktrees.map((branch) => ['branch', branch]),
+  ]);
+}
+
+async function interactiveRemove() {
+  const { removableWorktrees, branchesWithoutWorktrees } = getRemovalCandidates();
+
+  if (removableWorktrees.length === 0) {
+    console.log(chalk.yellow('No worktrees available to remove.'));
+    return;
+  }
+
+  const registry = readRegistry();
   const choices = [];
 
   // Add existing worktrees
@@ -45,8 +84,10 @@ async function interactiveRemove() {
       : wt.prunable
         ? chalk.yellow(' [prunable]')
         : '';
+    const entry = registry.worktrees[branch];
+    const task = entry && entry.prompt ? chalk.gray(` — ${truncate(entry.prompt, 50)}`) : '';
     choices.push({
-      name: `${chalk.blue(path.basename(wt.path))} ${chalk.gray(`(${branch})`)}${status}`,
+      name: `${chalk.blue(path.basename(wt.path))} ${chalk.gray(`(${branch})`)}${status}${task}`,
       value: branch,
     });
   });
@@ -87,12 +128,23 @@ async function interactiveRemove() {
   await removeWorktree(selection);
 }
 
-export async function removeCommand(branchName) {
+export async function removeCommand(branchName, options = {}) {
+  const format = getOutputFormat(options);
+
   if (!isGitRepository()) {
     console.error(chalk.red('Error: Not in a git repository'));
     process.exit(1);
   }
 
+  if (format) {
+    if (branchName) {
+      console.error(`Error: --${format} lists what can be removed and takes no branch name`);
+      process.exit(1);
+    }
+    printRemovalCandidates(format);
+    return;
+  }
+
   if (branchName) {
     // Direct removal mode
     await removeWorktree(branchName);
@@ -106,7 +158,9 @@ export function createRemoveCommand(program) {
   program
     .command('remove [branch-name]')
     .description('Remove a worktree and optionally its branch')
-    .action(async (branchName) => {
-      await removeCommand(branchName);
+    .option('--json', 'Print the worktrees and branches that can be removed as JSON')
+    .option('--porcelain', 'Print the worktrees and branches that can be removed, one per line')
+    .action(async (branchName, options) => {
+      await removeCommand(branchName, options);
     });
 }
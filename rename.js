@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import isGitRepository from './utils/isGitRepository.js';
+import getGitRootDirectory from './utils/getGitRootDirectory.js';
+import getExistingBranches from './utils/getExistingBranches.js';
+import findWorktreeForBranch from './utils/findWorktreeForBranch.js';
+import getWorktreePath from './utils/getWorktreePath.js';
+import validateBranchName from './utils/validateBranchName.js';
+import loadConfig from './utils/loadConfig.js';
+import { renameRegistryEntry } from './utils/registry.js';
+import { renamePorts, setupWorktreeEnv } from './utils/worktreeEnv.js';
+import { readHeadlessStatus } from './utils/headless.js';
+import { getSessionName, hasSession } from './utils/tmux.js';
+import { git, gitOrThrow } from './utils/run.js';
+
+export async function renameCommand(branchName, newBranchName) {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  const validation = validateBranchName(newBranchName);
+  if (validation !== true) {
+    console.error(chalk.red(`Error: ${validation}`));
+    process.exit(1);
+  }
+  if (getExistingBranches().includes(newBranchName)) {
+    console.error(chalk.red(`Error: Branch '${newBranchName}' already exists`));
+    process.exit(1);
+  }
+
+  const worktree = findWorktreeForBranch(branchName);
+  if (!worktree) {
+    console.error(chalk.red(`Error: No worktree found for branch '${branchName}'`));
+    process.exit(1);
+  }
+
+  const gitRoot = getGitRootDirectory();
+  if (worktree.path === gitRoot) {
+    console.error(chalk.red('Error: Cannot rename the current worktree'));
+    console.log(chalk.yellow('Run spawn rename from another worktree'));
+    process.exit(1);
+  }
+  if (!fs.existsSync(worktree.path)) {
+    console.error(chalk.red(`Error: Worktree directory ${worktree.path} is missing`));
+    console.log(chalk.yellow('Clean it up with: spawn prune --missing'));
+    process.exit(1);
+  }
+  if (worktree.locked) {
+    console.error(chalk.red(`Error: Worktree ${worktree.path} is locked`));
+    console.log(chalk.yellow(`Unlock it with: git worktree unlock ${worktree.path}`));
+    process.exit(1);
+  }
+
+  // Session names and env files point at the old path, so nothing may be running there
+  if (hasSession(getSessionName(worktree.path))) {
+    console.error(chalk.red(`Error: A session is running in ${path.basename(worktree.path)}`));
+    console.log(chalk.yellow('Exit the session before renaming its worktree'));
+    process.exit(1);
+  }
+  const headless = readHeadlessStatus(worktree.path);
+  if (headless && headless.state === 'running') {
+    console.error(
+      chalk.red(`Error: A headless run is still going in ${path.basename(worktree.path)}`)
+    );
+    console.log(chalk.yellow(`Wait for it to finish, or stop it with: kill ${headless.pid}`));
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  const newPath = getWorktreePath(gitRoot, newBranchName, config);
+  if (fs.existsSync(newPath)) {
+    console.error(chalk.red(`Error: ${newPath} already exists`));
+    process.exit(1);
+  }
+
+  console.log(chalk.yellow(`Renaming branch ${branchName} to ${newBranchName}...`));
+  try {
+    gitOrThrow(['branch', '-m', branchName, newBranchName]);
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not rename branch: ${error.message}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.yellow(`Moving worktree to ${newPath}...`));
+  try {
+    gitOrThrow(['worktree', 'move', worktree.path, newPath]);
+  } catch (error) {
+    // Put the branch name back so the worktree and branch still match
+    git(['branch', '-m', newBranchName, branchName]);
+    console.error(chalk.red(`Error: Could not move worktree: ${error.message}`));
+    process.exit(1);
+  }
+
+  renameRegistryEntry(branchName, newBranchName, { path: newPath });
+  renamePorts(branchName, newBranchName, newPath);
+  try {
+    setupWorktreeEnv(newBranchName, newPath, config);
+  } catch (error) {
+    console.log(chalk.yellow(`Warning: could not update the environment file: ${error.message}`));
+  }
+
+  console.log(chalk.green(`✅ Renamed ${branchName} to ${newBranchName}`));
+  console.log(chalk.gray(`Worktree: ${newPath}`));
+}
+
+export function createRenameCommand(program) {
+  program
+    .command('rename <branch-name> <new-branch-name>')
+    .description('Rename a branch and move its worktree to match')
+    .addHelpText(
+      'after',
+      '\nThe terminal title is left alone: no session may run in the worktree while it is\nrenamed, and the next session started there is titled after the new branch.'
+    )
+    .action(async (branchName, newBranchName) => {
+      await renameCommand(branchName, newBranchName);
+    });
+}
@@ -0,0 +1,56 @@
+import path from 'path';
+import chalk from 'chalk';
+import isGitRepository from './utils/isGitRepository.js';
+import getWorktrees from './utils/getWorktrees.js';
+import renderTable from './utils/renderTable.js';
+import formatAge from './utils/formatAge.js';
+import { getSessionName, isTmuxAvailable, listSessions } from './utils/tmux.js';
+
+export async function sessionsCommand() {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  if (!isTmuxAvailable()) {
+    console.error(chalk.red('Error: tmux is not installed or not in your PATH'));
+    process.exit(1);
+  }
+
+  const sessions = listSessions();
+  const worktrees = getWorktrees();
+
+  console.log(chalk.cyan.bold('\n🖥️  Spawn Sessions:\n'));
+
+  const rows = worktrees.map((wt) => {
+    const sessionName = getSessionName(wt.path);
+    const session = sessions.find((s) => s.name === sessionName);
+    const branch = wt.branch ? wt.branch.replace('refs/heads/', '') : 'detached HEAD';
+    const state = !session
+      ? chalk.gray('none')
+      : session.attached
+        ? chalk.green('attached')
+        : chalk.blue('running');
+
+    return [
+      chalk.white(path.basename(wt.path)),
+      chalk.yellow(branch),
+      state,
+      session ? chalk.gray(`${sessionName} (${formatAge(session.createdAt)})`) : '',
+    ];
+  });
+
+  console.log(renderTable(['Worktree', 'Branch', 'Session', 'tmux'], rows));
+
+  const running = rows.filter((row) => row[3]).length;
+  console.log(chalk.gray(`\n${running} of ${worktrees.length} worktree(s) have a running session`));
+}
+
+export function createSessionsCommand(program) {
+  program
+    .command('sessions')
+    .description('Show which worktrees have a running tmux session')
+    .action(async () => {
+      await sessionsCommand();
+    });
+}
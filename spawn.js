@@ -2,11 +2,23 @@
 
 import { program } from 'commander';
 import { createListCommand } from './list.js';
+import { createStatusCommand } from './status.js';
+import { createWatchCommand } from './watch.js';
 import { createRemoveCommand } from './remove.js';
+import { createPruneCommand } from './prune.js';
+import { createRenameCommand } from './rename.js';
+import { createSyncCommand } from './sync.js';
 import { createAddCommand } from './add.js';
 import { createDiffCommand } from './diff.js';
 import { createMergeCommand } from './merge.js';
+import { createConflictsCommand } from './conflicts.js';
+import { createOverlapCommand } from './overlap.js';
 import { createApproveCommand } from './approve.js';
+import { createBatchCommand } from './batch.js';
+import { createAttachCommand } from './attach.js';
+import { createSessionsCommand } from './sessions.js';
+import { createLogsCommand } from './logs.js';
+import { createExecCommand } from './exec.js';
 
 // Setup commander
 program
@@ -19,18 +31,54 @@ program
 // Add list subcommand
 createListCommand(program);
 
+// Add status subcommand
+createStatusCommand(program);
+
+// Add watch subcommand
+createWatchCommand(program);
+
 // Add remove subcommand
 createRemoveCommand(program);
 
+// Add prune subcommand
+createPruneCommand(program);
+
+// Add rename subcommand
+createRenameCommand(program);
+
+// Add sync subcommand
+createSyncCommand(program);
+
 // Add diff subcommand
 createDiffCommand(program);
 
 // Add merge subcommand
 createMergeCommand(program);
 
+// Add conflicts subcommand
+createConflictsCommand(program);
+
+// Add overlap subcommand
+createOverlapCommand(program);
+
 // Add approve subcommand
 createApproveCommand(program);
 
+// Add batch subcommand
+createBatchCommand(program);
+
+// Add attach subcommand
+createAttachCommand(program);
+
+// Add sessions subcommand
+createSessionsCommand(program);
+
+// Add logs subcommand
+createLogsCommand(program);
+
+// Add exec subcommand
+createExecCommand(program);
+
 // Default command for creating/managing worktrees
 createAddCommand(program);
 
@@ -0,0 +1,134 @@
+import chalk from 'chalk';
+import isGitRepository from './utils/isGitRepository.js';
+import getGitRootDirectory from './utils/getGitRootDirectory.js';
+import getWorktrees from './utils/getWorktrees.js';
+import getMainBranch from './utils/getMainBranch.js';
+import loadConfig from './utils/loadConfig.js';
+import renderTable from './utils/renderTable.js';
+import getWorktreeStatus from './utils/getWorktreeStatus.js';
+import { formatStatusRow, statusHeaders } from './utils/formatWorktreeStatus.js';
+import { isTmuxAvailable, listSessions } from './utils/tmux.js';
+import { readRegistry } from './utils/registry.js';
+import {
+  describeWorktree,
+  getOutputFormat,
+  printJson,
+  printPorcelain,
+  worktreeFlags,
+} from './utils/output.js';
+
+function toStatusRecord(status, worktree, gitRoot, registry) {
+  const { headless } = status;
+  return {
+    ...describeWorktree(worktree, gitRoot, registry),
+    changes: status.changes,
+    ahead: status.aheadBehind ? status.aheadBehind.ahead : null,
+    behind: status.aheadBehind ? status.aheadBehind.behind : null,
+    lastCommit: status.lastCommit
+      ? {
+          hash: status.lastCommit.hash,
+          subject: status.lastCommit.subject,
+          date: status.lastCommit.date.toISOString(),
+        }
+      : null,
+    sessions: {
+      tmux: status.tmux,
+      headless: headless
+        ? {
+            state: headless.state,
+            pid: headless.pid,
+            exitCode: headless.exitCode ?? null,
+            startedAt: headless.startedAt,
+            finishedAt: headless.finishedAt || null,
+          }
+        : null,
+    },
+  };
+}
+
+function printMachineStatus(format, statuses, worktrees, baseBranch) {
+  const gitRoot = getGitRootDirectory();
+  const registry = readRegistry();
+  const records = statuses.map((status, index) =>
+    toStatusRecord(status, worktrees[index], gitRoot, registry)
+  );
+
+  if (format === 'json') {
+    printJson({ baseBranch, worktrees: records });
+    return;
+  }
+
+  printPorcelain(
+    records.map((record) => {
+      const changes = record.changes || {};
+      const sessions = [
+        record.sessions.tmux ? 'tmux' : null,
+        record.sessions.headless ? `headless:${record.sessions.headless.state}` : null,
+      ].filter(Boolean);
+      return [
+        'worktree',
+        record.path,
+        record.branch,
+        worktreeFlags(record),
+        changes.staged,
+        changes.modified,
+        changes.untracked,
+        changes.conflicted,
+        record.ahead,
+        record.behind,
+        sessions.join(','),
+      ];
+    })
+  );
+}
+
+export async function statusCommand(options = {}) {
+  const format = getOutputFormat(options);
+
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  const worktrees = getWorktrees();
+  const gitRoot = getGitRootDirectory();
+  const baseBranch = getMainBranch(loadConfig());
+  const tmuxSessions = new Set(
+    isTmuxAvailable() ? listSessions().map((session) => session.name) : []
+  );
+
+  const statuses = worktrees.map((wt) => getWorktreeStatus(wt, baseBranch, tmuxSessions));
+
+  if (format) {
+    printMachineStatus(format, statuses, worktrees, baseBranch);
+    return;
+  }
+
+  console.log(chalk.cyan.bold('\n📊 Worktree Status:\n'));
+
+  const rows = statuses.map((status) =>
+    formatStatusRow(status, status.path === gitRoot, baseBranch)
+  );
+  console.log(renderTable(statusHeaders(baseBranch), rows));
+
+  const dirty = statuses.filter(
+    (status) => status.changes && Object.values(status.changes).some((count) => count > 0)
+  ).length;
+  const stale = statuses.filter((status) => status.missing || status.prunable).length;
+  const summary = [`${statuses.length} worktree(s)`, `${dirty} with uncommitted changes`];
+  if (stale > 0) {
+    summary.push(chalk.red(`${stale} missing or prunable`));
+  }
+  console.log(chalk.gray(`\n${summary.join(', ')}`));
+}
+
+export function createStatusCommand(program) {
+  program
+    .command('status')
+    .description('Show changes, commits and sessions of every worktree')
+    .option('--json', 'Print the status as JSON')
+    .option('--porcelain', 'Print one tab-separated line per worktree')
+    .action(async (options) => {
+      await statusCommand(options);
+    });
+}
@@ -0,0 +1,263 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import isGitRepository from './utils/isGitRepository.js';
+import getWorktrees from './utils/getWorktrees.js';
+import findWorktreeForBranch from './utils/findWorktreeForBranch.js';
+import getMainBranch from './utils/getMainBranch.js';
+import loadConfig, { mergeConfig } from './utils/loadConfig.js';
+import matchesBranchPattern from './utils/matchesBranchPattern.js';
+import renderTable from './utils/renderTable.js';
+import { readHeadlessStatus } from './utils/headless.js';
+import { getSessionName, hasSession } from './utils/tmux.js';
+import { git } from './utils/run.js';
+
+const SYNC_STRATEGIES = ['rebase', 'merge'];
+
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function hasTrackedChanges(worktreePath) {
+  // Untracked files do not stop a rebase or merge, so only tracked changes count
+  const result = git([
+    '--no-optional-locks',
+    '-C',
+    worktreePath,
+    'status',
+    '--porcelain',
+    '--untracked-files=no',
+  ]);
+  return !result.ok || result.stdout.trim().length > 0;
+}
+
+function revParse(ref) {
+  const result = git(['rev-parse', '--verify', '--quiet', ref]);
+  return result.ok ? result.stdout.trim() : null;
+}
+
+function getRemote(mainBranch) {
+  const configured = git(['config', `branch.${mainBranch}.remote`]);
+  if (configured.ok && configured.stdout.trim()) {
+    return configured.stdout.trim();
+  }
+  const remotes = git(['remote']).stdout.split('\n').filter(Boolean);
+  return remotes.includes('origin') ? 'origin' : remotes[0] || null;
+}
+
+/**
+ * Fetch and fast-forward the main branch. Problems are reported as warnings, and the
+ * worktrees are then synced onto the local main branch as it is.
+ */
+function updateMainBranch(mainBranch, worktrees) {
+  const remote = getRemote(mainBranch);
+  if (!remote) {
+    console.log(chalk.gray(`No remote configured; syncing onto the local ${mainBranch}`));
+    return;
+  }
+
+  const before = revParse(mainBranch);
+  const mainWorktree = findWorktreeForBranch(mainBranch, worktrees);
+  console.log(chalk.blue(`Fetching ${remote}...`));
+
+  if (!mainWorktree) {
+    // Not checked out anywhere, so git can fast-forward the branch while fetching
+    const result = git(['fetch', remote, `${mainBranch}:${mainBranch}`]);
+    if (!result.ok) {
+      console.log(chalk.yellow(`Warning: could not update ${mainBranch}: ${result.stderr.trim()}`));
+    }
+  } else {
+    const fetch = git(['fetch', remote]);
+    if (!fetch.ok) {
+      console.log(chalk.yellow(`Warning: could not fetch ${remote}: ${fetch.stderr.trim()}`));
+      return;
+    }
+    if (hasTrackedChanges(mainWorktree.path)) {
+      console.log(
+        chalk.yellow(`Warning: ${mainBranch} has uncommitted changes and was not fast-forwarded`)
+      );
+    } else {
+      const result = git([
+        '-C',
+        mainWorktree.path,
+        'merge',
+        '--ff-only',
+        `${remote}/${mainBranch}`,
+      ]);
+      if (!result.ok) {
+        console.log(
+          chalk.yellow(
+            `Warning: ${mainBranch} could not be fast-forwarded to ${remote}/${mainBranch}`
+          )
+        );
+      }
+    }
+  }
+
+  const after = revParse(mainBranch);
+  if (!after) {
+    console.log(chalk.yellow(`Warning: there is no local ${mainBranch} branch to sync onto`));
+  } else if (!before) {
+    console.log(chalk.green(`Created ${mainBranch} at ${after.slice(0, 7)}`));
+  } else if (before !== after) {
+    console.log(chalk.green(`Updated ${mainBranch} ${before.slice(0, 7)}..${after.slice(0, 7)}`));
+  } else {
+    console.log(chalk.gray(`${mainBranch} is up to date`));
+  }
+}
+
+function syncWorktree(worktree, branch, mainBranch, strategy) {
+  if (!fs.existsSync(worktree.path)) {
+    return { status: 'skipped', details: 'worktree directory is missing' };
+  }
+
+  const headless = readHeadlessStatus(worktree.path);
+  if (hasSession(getSessionName(worktree.path)) || (headless && headless.state === 'running')) {
+    return { status: 'skipped', details: 'a session is running' };
+  }
+  if (hasTrackedChanges(worktree.path)) {
+    return { status: 'skipped', details: 'uncommitted changes' };
+  }
+
+  if (git(['merge-base', '--is-ancestor', mainBranch, branch]).ok) {
+    return { status: 'up to date', details: '' };
+  }
+  const behind = git(['rev-list', '--count', `${branch}..${mainBranch}`]).stdout.trim();
+
+  const args = strategy === 'rebase' ? ['rebase', mainBranch] : ['merge', '--no-edit', mainBranch];
+  const result = git(['-C', worktree.path, ...args]);
+  if (result.ok) {
+    return {
+      status: 'updated',
+      details: `${strategy === 'rebase' ? 'rebased onto' : 'merged'} ${behind} new commit(s)`,
+    };
+  }
+
+  const conflicts = git(['-C', worktree.path, 'diff', '--name-only', '--diff-filter=U'])
+    .stdout.split('\n')
+    .filter(Boolean);
+  // Leave the worktree exactly as it was before the sync
+  git(['-C', worktree.path, strategy, '--abort']);
+
+  if (conflicts.length > 0) {
+    return { status: 'conflicted', details: conflicts.join(', ') };
+  }
+  return {
+    status: 'failed',
+    details: (result.stderr.trim() || result.stdout.trim()).split('\n')[0],
+  };
+}
+
+export async function syncCommand(options = {}) {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  if (options.merge && options.rebase) {
+    console.error(chalk.red('Error: --merge and --rebase cannot be used together'));
+    process.exit(1);
+  }
+
+  let config = loadConfig();
+  if (options.merge || options.rebase) {
+    config = mergeConfig(config, { sync: { strategy: options.merge ? 'merge' : 'rebase' } });
+  }
+  if (options.fetch === false) {
+    config = mergeConfig(config, { sync: { fetch: false } });
+  }
+
+  const { strategy } = config.sync;
+  if (!SYNC_STRATEGIES.includes(strategy)) {
+    console.error(
+      chalk.red(`Error: Unknown sync strategy '${strategy}'. Use ${SYNC_STRATEGIES.join(' or ')}`)
+    );
+    process.exit(1);
+  }
+
+  const mainBranch = getMainBranch(config);
+  const worktrees = getWorktrees();
+
+  console.log(chalk.cyan.bold(`\n🔄 Syncing worktrees onto ${mainBranch}\n`));
+  if (config.sync.fetch) {
+    updateMainBranch(mainBranch, worktrees);
+  }
+
+  const patterns = options.branch || [];
+  const targets = worktrees
+    .map((wt) => ({
+      worktree: wt,
+      branch: wt.branch ? wt.branch.replace('refs/heads/', '') : null,
+    }))
+    .filter(
+      ({ branch }) =>
+        branch &&
+        branch !== mainBranch &&
+        (patterns.length === 0 || patterns.some((pattern) => matchesBranchPattern(branch, pattern)))
+    );
+
+  if (targets.length === 0) {
+    console.log(chalk.yellow('\nNo worktrees to sync.'));
+    return;
+  }
+
+  const results = targets.map(({ worktree, branch }) => {
+    console.log(chalk.blue(`${strategy === 'rebase' ? 'Rebasing' : 'Merging'} ${branch}...`));
+    return { worktree, branch, ...syncWorktree(worktree, branch, mainBranch, strategy) };
+  });
+
+  const statusColors = {
+    updated: chalk.green,
+    'up to date': chalk.gray,
+    skipped: chalk.yellow,
+    conflicted: chalk.red,
+    failed: chalk.red,
+  };
+  console.log();
+  console.log(
+    renderTable(
+      ['Worktree', 'Branch', 'Result', 'Details'],
+      results.map((result) => [
+        chalk.white(path.basename(result.worktree.path)),
+        chalk.yellow(result.branch),
+        statusColors[result.status](result.status),
+        chalk.gray(result.details),
+      ])
+    )
+  );
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  console.log(
+    chalk.gray(
+      `\n${count('updated')} updated, ${count('up to date')} up to date, ${count('skipped')} skipped, ${count('conflicted')} conflicted, ${count('failed')} failed`
+    )
+  );
+
+  if (count('conflicted') > 0) {
+    console.log(
+      chalk.yellow(
+        `Conflicted worktrees were left as they were. Resolve them with: git ${strategy} ${mainBranch}`
+      )
+    );
+  }
+  if (count('conflicted') > 0 || count('failed') > 0) {
+    process.exit(1);
+  }
+}
+
+export function createSyncCommand(program) {
+  program
+    .command('sync')
+    .description('Update the main branch and rebase or merge every clean worktree onto it')
+    .option('--rebase', 'Rebase each branch onto the main branch (default)')
+    .option('--merge', 'Merge the main branch into each branch instead of rebasing')
+    .option('--no-fetch', 'Do not fetch or fast-forward the main branch first')
+    .option(
+      '--branch <pattern>',
+      'Only worktrees whose branch matches the pattern, e.g. "claude/*" (repeatable)',
+      collect
+    )
+    .action(async (options) => {
+      await syncCommand(options);
+    });
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import { recordWorktree } from '../utils/registry.js';
+import { removeWorktree } from '../utils/removeWorktree.js';
+import { approveCommand } from '../approve.js';
+
+describe('approveCommand', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+  let originDir;
+  let featureDir;
+
+  beforeEach(() => {
+    vi.stubEnv('GIT_AUTHOR_NAME', 'Test');
+    vi.stubEnv('GIT_AUTHOR_EMAIL', 'test@example.com');
+    vi.stubEnv('GIT_COMMITTER_NAME', 'Test');
+    vi.stubEnv('GIT_COMMITTER_EMAIL', 'test@example.com');
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-approve-test-')));
+    originDir = path.join(tempDir, 'origin.git');
+    gitOrThrow(['init', '-q', '--bare', '-b', 'main', originDir]);
+
+    // A repository name with dashes, and a worktree in an unrelated directory
+    const repoDir = path.join(tempDir, 'my-dashed-repo');
+    gitOrThrow(['clone', '-q', originDir, repoDir]);
+    process.chdir(repoDir);
+    fs.writeFileSync('README.md', 'base\n');
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['commit', '-qm', 'init']);
+    gitOrThrow(['push', '-q', 'origin', 'main']);
+
+    featureDir = path.join(tempDir, 'elsewhere', 'feature');
+    gitOrThrow(['worktree', 'add', '-q', '-b', 'feature', featureDir]);
+    fs.writeFileSync(path.join(featureDir, 'feature.txt'), 'feature\n');
+    gitOrThrow(['-C', featureDir, 'add', '-A']);
+    gitOrThrow(['-C', featureDir, 'commit', '-qm', 'Add feature']);
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should merge in the worktree that has main checked out', async () => {
+    process.chdir(featureDir);
+
+    await approveCommand({});
+
+    expect(gitOrThrow(['-C', originDir, 'log', '-1', '--format=%s', 'main']).stdout.trim()).toBe(
+      'Add feature'
+    );
+    expect(process.cwd()).toBe(featureDir);
+  });
+
+  it('should merge through a temporary worktree when main is not checked out', async () => {
+    gitOrThrow(['checkout', '-q', '-b', 'side']);
+    process.chdir(featureDir);
+
+    await approveCommand({ squash: true, edit: false });
+
+    expect(gitOrThrow(['-C', originDir, 'log', '-1', '--format=%s', 'main']).stdout.trim()).toBe(
+      'Add feature'
+    );
+    const worktrees = gitOrThrow(['worktree', 'list', '--porcelain']).stdout;
+    expect(worktrees.match(/^worktree /gm)).toHaveLength(2);
+  });
+
+  it('should let spawn remove delete a squashed branch after approval', async () => {
+    recordWorktree('feature', { path: featureDir });
+    process.chdir(featureDir);
+    await approveCommand({ squash: true, edit: false });
+
+    process.chdir(path.join(tempDir, 'my-dashed-repo'));
+    expect(await removeWorktree('feature', { interactive: false })).toBe(true);
+
+    expect(gitOrThrow(['branch', '--format=%(refname:short)']).stdout.split('\n')).not.toContain(
+      'feature'
+    );
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import { DEFAULT_CONFIG } from '../utils/loadConfig.js';
+import { createTask, loadManifest } from '../batch.js';
+
+describe('loadManifest', () => {
+  let tempDir;
+
+  const writeManifest = (name, content) => {
+    const manifestPath = path.join(tempDir, name);
+    fs.writeFileSync(manifestPath, content);
+    return manifestPath;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-manifest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should apply the defaults to every task of a YAML manifest', () => {
+    const manifestPath = writeManifest(
+      'tasks.yaml',
+      [
+        'defaults:',
+        '  base: origin/main',
+        '  editor: code',
+        'tasks:',
+        '  - branch: fix-auth',
+        '    prompt: Fix the token refresh',
+        '  - branch: docs',
+        '    editor: vim',
+      ].join('\n')
+    );
+
+    expect(loadManifest(manifestPath)).toEqual([
+      { base: 'origin/main', editor: 'code', branch: 'fix-auth', prompt: 'Fix the token refresh' },
+      { base: 'origin/main', editor: 'vim', branch: 'docs' },
+    ]);
+  });
+
+  it('should read a JSON list of tasks', () => {
+    const manifestPath = writeManifest(
+      'tasks.json',
+      JSON.stringify([{ branch: 'fix-auth', dangerouslySkipPermissions: true }])
+    );
+
+    expect(loadManifest(manifestPath)).toEqual([
+      { branch: 'fix-auth', dangerouslySkipPermissions: true },
+    ]);
+  });
+
+  it('should reject unknown keys in tasks and defaults', () => {
+    expect(() =>
+      loadManifest(writeManifest('task.yaml', 'tasks:\n  - branch: a\n    promt: typo\n'))
+    ).toThrow('Task 1 has unknown keys: promt');
+    expect(() =>
+      loadManifest(writeManifest('defaults.yaml', 'defaults:\n  bases: main\ntasks: []\n'))
+    ).toThrow('"defaults" has unknown keys: bases');
+    expect(() =>
+      loadManifest(writeManifest('branch.yaml', 'defaults:\n  branch: a\ntasks: []\n'))
+    ).toThrow('"defaults" has unknown keys: branch');
+    expect(() => loadManifest(writeManifest('empty.yaml', 'branch: a\n'))).toThrow(
+      'Manifest must be a list of tasks'
+    );
+  });
+});
+
+describe('createTask', () => {
+  const originalCwd = process.cwd();
+  const cliOptions = { bootstrap: false };
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-batch-')));
+    const repoDir = path.join(tempDir, 'repo');
+    fs.mkdirSync(repoDir);
+    process.chdir(repoDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    fs.writeFileSync('README.md', 'hello\n');
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['-c', 'user.name=Test', '-c', 'user.email=t@example.com', 'commit', '-qm', 'init']);
+    gitOrThrow(['branch', 'taken']);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should create, skip and fail tasks for the summary', () => {
+    const seen = new Set();
+    const existing = ['main', 'taken'];
+    const run = (task) => createTask(task, DEFAULT_CONFIG, seen, existing, cliOptions);
+
+    const created = run({ branch: 'fix-auth', prompt: 'Fix it' });
+    expect(created).toMatchObject({
+      status: 'created',
+      branch: 'fix-auth',
+      path: path.join(tempDir, 'repo-fix-auth'),
+      reason: null,
+    });
+    expect(fs.existsSync(created.path)).toBe(true);
+
+    expect(run({ branch: 'fix-auth' })).toEqual({
+      status: 'skipped',
+      branch: 'fix-auth',
+      reason: 'Duplicate entry in manifest',
+    });
+    expect(run({ branch: 'taken' })).toEqual({
+      status: 'skipped',
+      branch: 'taken',
+      reason: 'Branch already exists',
+    });
+    expect(run({ prompt: 'No branch' })).toEqual({
+      status: 'failed',
+      reason: 'Missing branch name',
+    });
+    expect(run({ branch: 'other', base: 'no-such-ref' })).toEqual({
+      status: 'failed',
+      reason: "Base ref 'no-such-ref' does not exist",
+    });
+  });
+});
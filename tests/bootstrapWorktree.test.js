@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import bootstrapWorktree from '../utils/bootstrapWorktree.js';
+
+describe('bootstrapWorktree', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+  let mainRoot;
+  let worktreePath;
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-bootstrap-')));
+    mainRoot = path.join(tempDir, 'repo');
+    worktreePath = path.join(tempDir, 'repo-feature');
+    fs.mkdirSync(mainRoot);
+    process.chdir(mainRoot);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    fs.writeFileSync('README.md', 'hello\n');
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['-c', 'user.name=Test', '-c', 'user.email=t@example.com', 'commit', '-qm', 'init']);
+    gitOrThrow(['worktree', 'add', '-q', '-b', 'feature', worktreePath]);
+
+    fs.writeFileSync(path.join(mainRoot, '.env'), 'SECRET=1\n');
+    fs.mkdirSync(path.join(mainRoot, 'config'));
+    fs.writeFileSync(path.join(mainRoot, 'config', 'local.json'), '{}\n');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should copy and symlink files from the main worktree', () => {
+    const config = { bootstrap: { copy: ['.env'], symlink: ['config/local.json'] } };
+
+    expect(bootstrapWorktree(worktreePath, config)).toBe(true);
+    expect(fs.readFileSync(path.join(worktreePath, '.env'), 'utf8')).toBe('SECRET=1\n');
+    expect(fs.readlinkSync(path.join(worktreePath, 'config', 'local.json'))).toBe(
+      path.join(mainRoot, 'config', 'local.json')
+    );
+  });
+
+  it('should skip files that are missing or already exist', () => {
+    fs.writeFileSync(path.join(worktreePath, '.env'), 'SECRET=2\n');
+
+    expect(bootstrapWorktree(worktreePath, { bootstrap: { copy: ['.env', 'missing.txt'] } })).toBe(
+      true
+    );
+    expect(fs.readFileSync(path.join(worktreePath, '.env'), 'utf8')).toBe('SECRET=2\n');
+    expect(fs.existsSync(path.join(worktreePath, 'missing.txt'))).toBe(false);
+  });
+
+  it('should reject entries that lead outside the worktree', () => {
+    fs.writeFileSync(path.join(tempDir, 'outside.txt'), 'private\n');
+    const config = { bootstrap: { copy: ['../outside.txt'], symlink: ['..'] } };
+
+    expect(bootstrapWorktree(worktreePath, config)).toBe(false);
+    expect(fs.existsSync(path.join(tempDir, 'repo-feature', 'outside.txt'))).toBe(false);
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['outside.txt', 'repo', 'repo-feature']);
+  });
+
+  it('should run the setup commands and report a failing one', () => {
+    const config = {
+      bootstrap: {
+        commands: [
+          'node -e "process.exit(3)"',
+          "node -e \"require('fs').writeFileSync('ran', '')\"",
+        ],
+      },
+    };
+
+    expect(bootstrapWorktree(worktreePath, config)).toBe(false);
+    expect(fs.existsSync(path.join(worktreePath, 'ran'))).toBe(true);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('exit code 3'));
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import chalk from 'chalk';
+import { formatStatusRow, statusHeaders } from '../utils/formatWorktreeStatus.js';
+
+const baseStatus = {
+  path: '/work/proj-fix-auth',
+  branch: 'fix-auth',
+  missing: false,
+  prunable: false,
+  locked: false,
+  changes: { staged: 0, modified: 0, untracked: 0, conflicted: 0 },
+  aheadBehind: { ahead: 0, behind: 0 },
+  lastCommit: null,
+  tmux: false,
+  headless: null,
+};
+
+describe('formatStatusRow', () => {
+  beforeAll(() => {
+    chalk.level = 0;
+  });
+
+  it('should line up with the status headers', () => {
+    expect(statusHeaders('main')).toEqual([
+      'Worktree',
+      'Branch',
+      'Changes',
+      'vs main',
+      'Last commit',
+      'Session',
+    ]);
+    expect(formatStatusRow(baseStatus, false, 'main')).toEqual([
+      'proj-fix-auth',
+      'fix-auth',
+      'clean',
+      'up to date',
+      '—',
+      '—',
+    ]);
+  });
+
+  it('should describe changes, commits and sessions', () => {
+    const status = {
+      ...baseStatus,
+      prunable: true,
+      changes: { staged: 1, modified: 2, untracked: 0, conflicted: 1 },
+      aheadBehind: { ahead: 3, behind: 1 },
+      tmux: true,
+      headless: { state: 'failed' },
+    };
+
+    const [, branch, changes, aheadBehind, , session] = formatStatusRow(status, true, 'main');
+    expect(branch).toBe('fix-auth current prunable');
+    expect(changes).toBe('1 conflicted, 1 staged, 2 modified');
+    expect(aheadBehind).toBe('↑3 ↓1');
+    expect(session).toBe('tmux headless failed');
+  });
+});
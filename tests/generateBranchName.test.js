@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import generateBranchName, { slugifyPrompt } from '../utils/generateBranchName.js';
+
+describe('slugifyPrompt', () => {
+  it('should keep the first meaningful words', () => {
+    expect(slugifyPrompt('Fix the memory leak in the data processing module')).toBe(
+      'fix-memory-leak-data-processing'
+    );
+  });
+
+  it('should strip punctuation and accents', () => {
+    expect(slugifyPrompt('Add "café" menu: résumé & FAQ!')).toBe('add-cafe-menu-resume-faq');
+  });
+
+  it('should return an empty string when nothing meaningful is left', () => {
+    expect(slugifyPrompt('the of and')).toBe('');
+  });
+});
+
+describe('generateBranchName', () => {
+  it('should apply the prefix', () => {
+    expect(generateBranchName('Fix login redirect', { prefix: 'claude/' })).toBe(
+      'claude/fix-login-redirect'
+    );
+  });
+
+  it('should avoid existing branches and taken worktree paths', () => {
+    const result = generateBranchName('Fix login redirect', {
+      prefix: 'claude/',
+      existingBranches: ['claude/fix-login-redirect'],
+      isTaken: (name) => name === 'claude/fix-login-redirect-2',
+    });
+    expect(result).toBe('claude/fix-login-redirect-3');
+  });
+
+  it('should fall back to a generic name', () => {
+    expect(generateBranchName('???')).toBe('task');
+  });
+
+  it('should reject an invalid prefix', () => {
+    expect(() => generateBranchName('Fix it', { prefix: 'bad prefix/' })).toThrow(
+      'Branch name contains invalid characters'
+    );
+  });
+});
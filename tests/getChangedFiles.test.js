@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import getChangedFiles from '../utils/getChangedFiles.js';
+
+describe('getChangedFiles', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+
+  const commitAll = (message) => {
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['commit', '-qm', message]);
+  };
+
+  beforeEach(() => {
+    vi.stubEnv('GIT_AUTHOR_NAME', 'Test');
+    vi.stubEnv('GIT_AUTHOR_EMAIL', 'test@example.com');
+    vi.stubEnv('GIT_COMMITTER_NAME', 'Test');
+    vi.stubEnv('GIT_COMMITTER_EMAIL', 'test@example.com');
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-changed-')));
+    process.chdir(tempDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    for (const file of ['committed.txt', 'staged.txt', 'unstaged.txt', 'old name.txt']) {
+      fs.writeFileSync(file, `${file}\n`);
+    }
+    commitAll('init');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should combine committed, uncommitted and untracked changes since the base', () => {
+    gitOrThrow(['checkout', '-q', '-b', 'feature']);
+    fs.appendFileSync('committed.txt', 'more\n');
+    commitAll('Work');
+
+    // Changes that only main has since the branch started are not the branch's
+    gitOrThrow(['checkout', '-q', 'main']);
+    fs.writeFileSync('main.txt', 'main\n');
+    commitAll('Main');
+    gitOrThrow(['checkout', '-q', 'feature']);
+
+    fs.appendFileSync('staged.txt', 'more\n');
+    gitOrThrow(['add', 'staged.txt']);
+    fs.appendFileSync('unstaged.txt', 'more\n');
+    fs.writeFileSync('untracked.txt', 'new\n');
+
+    expect(getChangedFiles(tempDir, 'main')).toEqual([
+      'committed.txt',
+      'staged.txt',
+      'unstaged.txt',
+      'untracked.txt',
+    ]);
+  });
+
+  it('should count both sides of a rename', () => {
+    gitOrThrow(['checkout', '-q', '-b', 'feature']);
+    gitOrThrow(['mv', 'old name.txt', 'new name.txt']);
+    commitAll('Rename');
+    fs.appendFileSync('committed.txt', 'more\n');
+
+    expect(getChangedFiles(tempDir, 'main')).toEqual([
+      'committed.txt',
+      'new name.txt',
+      'old name.txt',
+    ]);
+  });
+});
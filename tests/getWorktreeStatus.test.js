@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { countChanges } from '../utils/getWorktreeStatus.js';
+
+describe('countChanges', () => {
+  it('should count a clean worktree as no changes', () => {
+    expect(countChanges('')).toEqual({ staged: 0, modified: 0, untracked: 0, conflicted: 0 });
+  });
+
+  it('should count staged, modified, untracked and conflicted files', () => {
+    const porcelain = [
+      'M  staged.js',
+      ' M modified.js',
+      'MM both.js',
+      'A  added.js',
+      ' D deleted.js',
+      '?? new.js',
+      '?? other.js',
+      'UU conflict.js',
+      'AA both-added.js',
+      '',
+    ].join('\n');
+
+    expect(countChanges(porcelain)).toEqual({
+      staged: 3,
+      modified: 3,
+      untracked: 2,
+      conflicted: 2,
+    });
+  });
+});
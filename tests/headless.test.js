@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import { getHeadlessPaths, readHeadlessStatus, startHeadless } from '../utils/headless.js';
+
+async function waitForExit(worktreePath) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const status = readHeadlessStatus(worktreePath);
+    if (status && status.state !== 'running') return status;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Headless run did not finish');
+}
+
+describe('headless runs', () => {
+  let repoDir;
+
+  beforeEach(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-headless-'));
+    gitOrThrow(['init', '-q', repoDir]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it('should keep its state in the git dir of the worktree', () => {
+    const { logPath, statusPath } = getHeadlessPaths(repoDir);
+    expect(logPath).toBe(path.join(fs.realpathSync(repoDir), '.git', 'spawn', 'headless.log'));
+    expect(path.dirname(statusPath)).toBe(path.dirname(logPath));
+    expect(readHeadlessStatus(repoDir)).toBeNull();
+  });
+
+  it('should log stdout and stderr and record the exit code', async () => {
+    const script = 'console.log(process.argv[1]); console.error(process.env.PORT); process.exit(4)';
+    startHeadless(
+      repoDir,
+      { command: process.execPath, args: ['-e', script, '--', 'say "hi" $(touch pwned)'] },
+      { PORT: '3100' }
+    );
+
+    const status = await waitForExit(repoDir);
+    expect(status).toMatchObject({ state: 'failed', exitCode: 4, signal: null });
+    expect(status.finishedAt).toBeDefined();
+
+    const log = fs.readFileSync(getHeadlessPaths(repoDir).logPath, 'utf8');
+    expect(log).toContain('say "hi" $(touch pwned)');
+    expect(log).toContain('3100');
+    expect(fs.existsSync(path.join(repoDir, 'pwned'))).toBe(false);
+  });
+
+  it('should report the run as running as soon as it is started', async () => {
+    const { pid } = startHeadless(repoDir, {
+      command: process.execPath,
+      args: ['-e', 'setTimeout(() => {}, 300)'],
+    });
+
+    expect(readHeadlessStatus(repoDir)).toMatchObject({ state: 'running', pid });
+    expect(() => startHeadless(repoDir, { command: process.execPath, args: [] })).toThrow(
+      'already active'
+    );
+    expect((await waitForExit(repoDir)).state).toBe('succeeded');
+  });
+
+  it('should record a command that cannot be started as failed', async () => {
+    startHeadless(repoDir, { command: 'spawn-no-such-agent', args: [] });
+
+    const status = await waitForExit(repoDir);
+    expect(status).toMatchObject({ state: 'failed', exitCode: null });
+    expect(fs.readFileSync(getHeadlessPaths(repoDir).logPath, 'utf8')).toContain(
+      'could not start spawn-no-such-agent'
+    );
+  });
+
+  it('should report a run whose runner died as interrupted', () => {
+    const { statusPath } = getHeadlessPaths(repoDir);
+    fs.mkdirSync(path.dirname(statusPath), { recursive: true });
+    // No process has a pid this large
+    fs.writeFileSync(
+      statusPath,
+      JSON.stringify({ state: 'running', pid: 2 ** 22 + 1, command: ['x'], startedAt: '' })
+    );
+    expect(readHeadlessStatus(repoDir).state).toBe('interrupted');
+  });
+});
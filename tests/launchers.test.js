@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { buildLaunchCommand, getLauncher } from '../utils/launchers.js';
+
+describe('getLauncher', () => {
+  it('should return built-in launchers', () => {
+    expect(getLauncher('claude').command).toBe('claude');
+    expect(getLauncher('vscode').command).toBe('code');
+  });
+
+  it('should prefer custom launchers from the config', () => {
+    const config = {
+      launchers: {
+        aider: { command: 'aider', promptArgs: ['--message', '{prompt}'] },
+        claude: { command: 'claude-beta' },
+      },
+    };
+    expect(getLauncher('aider', config)).toMatchObject({
+      name: 'aider',
+      command: 'aider',
+      args: [],
+      promptArgs: ['--message', '{prompt}'],
+      permissionArgs: null,
+    });
+    expect(getLauncher('claude', config).command).toBe('claude-beta');
+  });
+
+  it('should fall back to a generic launcher for unknown editors', () => {
+    expect(getLauncher('emacs')).toMatchObject({ command: 'emacs', args: [], promptArgs: null });
+  });
+
+  it('should split a multi-word editor into its command and arguments', () => {
+    expect(getLauncher('code --wait')).toMatchObject({ command: 'code', args: ['--wait'] });
+    expect(getLauncher(`"/opt/my editor/bin/ed" -n '{cwd}'`)).toMatchObject({
+      command: '/opt/my editor/bin/ed',
+      args: ['-n', '{cwd}'],
+      promptArgs: null,
+    });
+    expect(() => getLauncher('cursor "-n')).toThrow('Unterminated quote');
+  });
+
+  it('should reject malformed custom launchers', () => {
+    expect(() => getLauncher('broken', { launchers: { broken: { args: [] } } })).toThrow(
+      "Launcher 'broken' must declare a command"
+    );
+    expect(() =>
+      getLauncher('broken', { launchers: { broken: { command: 'x', args: '--flag' } } })
+    ).toThrow('invalid args');
+  });
+});
+
+describe('buildLaunchCommand', () => {
+  it('should pass the prompt and permission flag to claude', () => {
+    const result = buildLaunchCommand(getLauncher('claude'), {
+      prompt: 'Fix "it" $(now)',
+      cwd: '/repo-fix',
+      dangerouslySkipPermissions: true,
+    });
+    expect(result).toEqual({
+      command: 'claude',
+      args: ['--dangerously-skip-permissions', 'Fix "it" $(now)'],
+      warnings: [],
+    });
+  });
+
+  it('should open the worktree folder in VS Code and warn about the prompt', () => {
+    const result = buildLaunchCommand(getLauncher('code'), { prompt: 'Fix it', cwd: '/repo-fix' });
+    expect(result.args).toEqual(['/repo-fix']);
+    expect(result.warnings).toEqual(['code does not accept a prompt; it was not passed']);
+  });
+
+  it('should fill the placeholders of a command template', () => {
+    const launcher = getLauncher('my-agent --cwd {cwd} {prompt}');
+    expect(buildLaunchCommand(launcher, { prompt: 'Fix it', cwd: '/repo-fix' })).toEqual({
+      command: 'my-agent',
+      args: ['--cwd', '/repo-fix', 'Fix it'],
+      warnings: [],
+    });
+    expect(buildLaunchCommand(launcher, { cwd: '/repo-fix' }).args).toEqual(['--cwd', '/repo-fix']);
+  });
+
+  it('should warn when permissions cannot be skipped', () => {
+    const result = buildLaunchCommand(getLauncher('vim'), {
+      cwd: '/repo-fix',
+      dangerouslySkipPermissions: true,
+    });
+    expect(result.warnings).toEqual(['vim does not support skipping permissions; flag ignored']);
+  });
+
+  it('should use the headless arguments for a headless run', () => {
+    const result = buildLaunchCommand(getLauncher('claude'), {
+      prompt: 'Fix it',
+      cwd: '/repo-fix',
+      headless: true,
+    });
+    expect(result.args).toEqual(['--print', 'Fix it']);
+  });
+
+  it('should reject headless runs the launcher cannot do', () => {
+    expect(() =>
+      buildLaunchCommand(getLauncher('code'), { prompt: 'Fix it', headless: true })
+    ).toThrow('code has no headless mode');
+    expect(() => buildLaunchCommand(getLauncher('claude'), { headless: true })).toThrow(
+      'Headless mode needs a prompt'
+    );
+  });
+});
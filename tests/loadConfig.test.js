@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import loadConfig, { DEFAULT_CONFIG, mergeConfig } from '../utils/loadConfig.js';
+
+describe('loadConfig', () => {
+  let tmpDir;
+  let repoDir;
+  let homeDir;
+  const originalXdg = process.env.XDG_CONFIG_HOME;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-config-'));
+    repoDir = path.join(tmpDir, 'repo');
+    homeDir = path.join(tmpDir, 'home');
+    fs.mkdirSync(repoDir);
+    fs.mkdirSync(homeDir);
+    delete process.env.XDG_CONFIG_HOME;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (originalXdg !== undefined) {
+      process.env.XDG_CONFIG_HOME = originalXdg;
+    }
+  });
+
+  it('should return the defaults when no config files exist', () => {
+    expect(loadConfig({ cwd: repoDir, homeDir })).toEqual(DEFAULT_CONFIG);
+  });
+
+  it('should layer the repo config over the user config', () => {
+    fs.writeFileSync(
+      path.join(homeDir, '.spawnrc'),
+      JSON.stringify({ editor: 'code', branchPrefix: 'me/', merge: { removeAfterMerge: 'never' } })
+    );
+    fs.writeFileSync(
+      path.join(repoDir, 'spawn.config.json'),
+      JSON.stringify({ editor: 'claude', baseBranch: 'develop' })
+    );
+
+    const config = loadConfig({ cwd: repoDir, homeDir });
+    expect(config.editor).toBe('claude');
+    expect(config.baseBranch).toBe('develop');
+    expect(config.branchPrefix).toBe('me/');
+    expect(config.merge.removeAfterMerge).toBe('never');
+  });
+
+  it('should read the user config from XDG_CONFIG_HOME', () => {
+    process.env.XDG_CONFIG_HOME = path.join(homeDir, 'xdg');
+    fs.mkdirSync(path.join(homeDir, 'xdg', 'spawn'), { recursive: true });
+    fs.writeFileSync(
+      path.join(homeDir, 'xdg', 'spawn', 'config.json'),
+      JSON.stringify({ worktreeDir: '~/worktrees' })
+    );
+
+    expect(loadConfig({ cwd: repoDir, homeDir }).worktreeDir).toBe('~/worktrees');
+  });
+
+  it('should ignore invalid config files', () => {
+    fs.writeFileSync(path.join(repoDir, '.spawnrc'), '{ not json');
+    const stderr = console.error;
+    console.error = () => {};
+    try {
+      expect(loadConfig({ cwd: repoDir, homeDir })).toEqual(DEFAULT_CONFIG);
+    } finally {
+      console.error = stderr;
+    }
+  });
+});
+
+describe('mergeConfig', () => {
+  it('should deep merge nested objects and replace arrays', () => {
+    const result = mergeConfig({ a: { b: 1, c: 2 }, list: [1, 2] }, { a: { c: 3 }, list: [3] });
+    expect(result).toEqual({ a: { b: 1, c: 3 }, list: [3] });
+  });
+
+  it('should skip undefined values', () => {
+    expect(mergeConfig({ editor: 'claude' }, { editor: undefined })).toEqual({ editor: 'claude' });
+  });
+});
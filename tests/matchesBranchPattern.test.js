@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import matchesBranchPattern from '../utils/matchesBranchPattern.js';
+
+describe('matchesBranchPattern', () => {
+  it('should match whole branch names with * and ? wildcards', () => {
+    expect(matchesBranchPattern('claude/fix-auth', 'claude/*')).toBe(true);
+    expect(matchesBranchPattern('claude/fix/nested', 'claude/*')).toBe(true);
+    expect(matchesBranchPattern('fix-auth', 'fix-????')).toBe(true);
+    expect(matchesBranchPattern('main', 'claude/*')).toBe(false);
+    expect(matchesBranchPattern('my-claude/fix', 'claude/*')).toBe(false);
+  });
+
+  it('should treat other characters literally', () => {
+    expect(matchesBranchPattern('release-1.2', 'release-1.2')).toBe(true);
+    expect(matchesBranchPattern('release-102', 'release-1.2')).toBe(false);
+    expect(matchesBranchPattern('feat(x)', 'feat(x)')).toBe(true);
+  });
+});
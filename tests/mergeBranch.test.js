@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import mergeBranch, { buildSquashMessage, resolveMergeStrategy } from '../utils/mergeBranch.js';
+
+describe('buildSquashMessage', () => {
+  it('should use a single subject as is and list several', () => {
+    expect(buildSquashMessage('fix', ['Fix login'])).toBe('Fix login');
+    expect(buildSquashMessage('fix', ['Fix login', 'Add test'])).toBe(
+      "Squash merge branch 'fix'\n\n* Fix login\n* Add test"
+    );
+  });
+});
+
+describe('resolveMergeStrategy', () => {
+  const config = { merge: { strategy: 'squash' } };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should prefer a flag over the config', () => {
+    expect(resolveMergeStrategy({}, config)).toBe('squash');
+    expect(resolveMergeStrategy({ ffOnly: true }, config)).toBe('ff-only');
+  });
+
+  it('should refuse more than one strategy flag', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    expect(() => resolveMergeStrategy({ squash: true, rebase: true }, config)).toThrow('exit 1');
+  });
+});
+
+describe('mergeBranch', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+
+  const commitFile = (file, content, message) => {
+    fs.writeFileSync(file, content);
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['commit', '-qm', message]);
+  };
+
+  const subjects = () => gitOrThrow(['log', '--format=%s', 'main']).stdout.trim().split('\n');
+
+  beforeEach(() => {
+    // Merging writes commits, so git needs an identity
+    vi.stubEnv('GIT_AUTHOR_NAME', 'Test');
+    vi.stubEnv('GIT_AUTHOR_EMAIL', 'test@example.com');
+    vi.stubEnv('GIT_COMMITTER_NAME', 'Test');
+    vi.stubEnv('GIT_COMMITTER_EMAIL', 'test@example.com');
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-merge-')));
+    process.chdir(tempDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    commitFile('README.md', 'base\n', 'init');
+
+    gitOrThrow(['checkout', '-q', '-b', 'feature']);
+    commitFile('a.txt', 'a\n', 'Add a');
+    commitFile('b.txt', 'b\n', 'Add b');
+    gitOrThrow(['checkout', '-q', 'main']);
+    commitFile('main.txt', 'main\n', 'Update main');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should squash the branch into one commit seeded from its subjects', () => {
+    const result = mergeBranch('feature', 'main', { strategy: 'squash', edit: false });
+
+    expect(result.ok).toBe(true);
+    expect(subjects()).toEqual(["Squash merge branch 'feature'", 'Update main', 'init']);
+    expect(gitOrThrow(['log', '-1', '--format=%b']).stdout.trim()).toBe('* Add a\n* Add b');
+  });
+
+  it('should refuse to fast-forward a branch that has fallen behind', () => {
+    const head = gitOrThrow(['rev-parse', 'main']).stdout;
+
+    const result = mergeBranch('feature', 'main', { strategy: 'ff-only' });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/cannot be fast-forwarded/);
+    expect(gitOrThrow(['rev-parse', 'main']).stdout).toBe(head);
+  });
+
+  it('should rebase a branch without a worktree and keep history linear', () => {
+    const result = mergeBranch('feature', 'main', { strategy: 'rebase' });
+
+    expect(result.ok).toBe(true);
+    expect(subjects()).toEqual(['Add b', 'Add a', 'Update main', 'init']);
+    expect(gitOrThrow(['rev-parse', 'main']).stdout).toBe(
+      gitOrThrow(['rev-parse', 'feature']).stdout
+    );
+    // The temporary worktree is gone again
+    expect(
+      gitOrThrow(['worktree', 'list', '--porcelain']).stdout.match(/^worktree /gm)
+    ).toHaveLength(1);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import getBranchChanges from '../utils/getBranchChanges.js';
+import { branchChangeRecords, printJson, printPorcelain } from '../utils/output.js';
+
+describe('printPorcelain', () => {
+  let log;
+
+  beforeEach(() => {
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should separate fields with tabs and print empty values as a dash', () => {
+    printPorcelain([
+      ['worktree', '/repo', null, 3, ''],
+      ['branch', 'a\tb\nc'],
+    ]);
+    expect(log.mock.calls).toEqual([['worktree\t/repo\t-\t3\t-'], ['branch\ta b c']]);
+  });
+
+  it('should put the schema version first in JSON output', () => {
+    printJson({ worktrees: [] });
+    expect(Object.keys(JSON.parse(log.mock.calls[0][0]))).toEqual(['schemaVersion', 'worktrees']);
+  });
+});
+
+describe('getBranchChanges', () => {
+  const originalCwd = process.cwd();
+  let repoDir;
+
+  const commit = (message) =>
+    gitOrThrow([
+      '-c',
+      'user.name=Test',
+      '-c',
+      'user.email=test@example.com',
+      'commit',
+      '-qm',
+      message,
+    ]);
+
+  beforeEach(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-changes-'));
+    process.chdir(repoDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    fs.writeFileSync('keep.txt', 'one\ntwo\nthree\nfour\nfive\n');
+    fs.writeFileSync('old name.txt', 'a\nb\nc\nd\ne\nf\n');
+    fs.writeFileSync('gone.txt', 'bye\n');
+    gitOrThrow(['add', '-A']);
+    commit('init');
+
+    gitOrThrow(['checkout', '-qb', 'feature']);
+    fs.appendFileSync('keep.txt', 'six\n');
+    gitOrThrow(['mv', 'old name.txt', 'new name.txt']);
+    gitOrThrow(['rm', '-q', 'gone.txt']);
+    fs.writeFileSync('image.bin', Buffer.from([0, 1, 2, 0, 255]));
+    gitOrThrow(['add', '-A']);
+    commit('Change files');
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it('should list commits and file changes with renames and binary files', () => {
+    const changes = getBranchChanges('feature', 'main');
+
+    expect(changes.commits).toHaveLength(1);
+    expect(changes.commits[0]).toMatchObject({ subject: 'Change files', author: 'Test' });
+
+    const byPath = Object.fromEntries(changes.files.map((file) => [file.path, file]));
+    expect(byPath['keep.txt']).toMatchObject({ status: 'modified', additions: 1, deletions: 0 });
+    expect(byPath['new name.txt']).toMatchObject({
+      status: 'renamed',
+      oldPath: 'old name.txt',
+      additions: 0,
+      deletions: 0,
+    });
+    expect(byPath['gone.txt']).toMatchObject({ status: 'deleted', deletions: 1 });
+    expect(byPath['image.bin']).toMatchObject({ status: 'added', additions: null });
+
+    expect(branchChangeRecords(changes)).toContainEqual([
+      'file',
+      'renamed',
+      0,
+      0,
+      'new name.txt',
+      'old name.txt',
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import predictConflicts from '../utils/predictConflicts.js';
+
+describe('predictConflicts', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+
+  const commitFile = (file, content, message) => {
+    fs.writeFileSync(file, content);
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['commit', '-qm', message]);
+  };
+
+  const createBranch = (branch, file, content) => {
+    gitOrThrow(['checkout', '-q', '-b', branch, 'main']);
+    commitFile(file, content, `Change ${file} on ${branch}`);
+    gitOrThrow(['checkout', '-q', 'main']);
+  };
+
+  beforeEach(() => {
+    vi.stubEnv('GIT_AUTHOR_NAME', 'Test');
+    vi.stubEnv('GIT_AUTHOR_EMAIL', 'test@example.com');
+    vi.stubEnv('GIT_COMMITTER_NAME', 'Test');
+    vi.stubEnv('GIT_COMMITTER_EMAIL', 'test@example.com');
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-conflicts-')));
+    process.chdir(tempDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    commitFile('shared file.txt', 'base\n', 'init');
+
+    createBranch('left', 'shared file.txt', 'left\n');
+    createBranch('right', 'shared file.txt', 'right\n');
+    createBranch('other', 'other.txt', 'other\n');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should list the files two branches would conflict on', () => {
+    expect(predictConflicts('left', 'right')).toEqual({
+      conflicts: ['shared file.txt'],
+      error: null,
+    });
+    expect(predictConflicts('left', 'other')).toEqual({ conflicts: [], error: null });
+  });
+
+  it('should leave the working tree and refs untouched', () => {
+    const head = gitOrThrow(['rev-parse', 'HEAD']).stdout;
+
+    predictConflicts('left', 'right');
+
+    expect(gitOrThrow(['rev-parse', 'HEAD']).stdout).toBe(head);
+    expect(gitOrThrow(['status', '--porcelain']).stdout).toBe('');
+    expect(fs.readFileSync('shared file.txt', 'utf8')).toBe('base\n');
+  });
+
+  it('should report a branch that does not exist', () => {
+    const result = predictConflicts('left', 'missing');
+    expect(result.conflicts).toEqual([]);
+    expect(result.error).toBeTruthy();
+  });
+});
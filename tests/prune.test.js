@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import { recordWorktree, updateRegistryEntry } from '../utils/registry.js';
+import { pruneCommand } from '../prune.js';
+
+describe('pruneCommand', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+  let repoDir;
+
+  const addWorktree = (branch) => {
+    const worktreePath = path.join(tempDir, `repo-${branch}`);
+    gitOrThrow(['worktree', 'add', '-q', '-b', branch, worktreePath]);
+    return worktreePath;
+  };
+
+  const commitIn = (worktreePath, file) => {
+    fs.writeFileSync(path.join(worktreePath, file), `${file}\n`);
+    gitOrThrow(['-C', worktreePath, 'add', '-A']);
+    gitOrThrow([
+      '-C',
+      worktreePath,
+      '-c',
+      'user.name=Test',
+      '-c',
+      'user.email=t@example.com',
+      'commit',
+      '-qm',
+      file,
+    ]);
+  };
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-prune-')));
+    repoDir = path.join(tempDir, 'repo');
+    fs.mkdirSync(repoDir);
+    process.chdir(repoDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    fs.writeFileSync('README.md', 'hello\n');
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['-c', 'user.name=Test', '-c', 'user.email=t@example.com', 'commit', '-qm', 'init']);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should remove merged worktrees but keep those with uncommitted changes', async () => {
+    const clean = addWorktree('clean');
+    commitIn(clean, 'clean.txt');
+    const dirty = addWorktree('dirty');
+    commitIn(dirty, 'dirty.txt');
+    gitOrThrow([
+      '-c',
+      'user.name=Test',
+      '-c',
+      'user.email=t@example.com',
+      'merge',
+      '-q',
+      'clean',
+      'dirty',
+    ]);
+    fs.writeFileSync(path.join(dirty, 'notes.txt'), 'work in progress\n');
+
+    await pruneCommand({ merged: true, yes: true });
+
+    expect(fs.existsSync(clean)).toBe(false);
+    expect(fs.existsSync(path.join(dirty, 'notes.txt'))).toBe(true);
+    const branches = gitOrThrow(['branch', '--format=%(refname:short)']).stdout.split('\n');
+    expect(branches).not.toContain('clean');
+    expect(branches).toContain('dirty');
+  });
+
+  it('should remove branches that landed as a squash or a rebase', async () => {
+    const squashed = addWorktree('squashed');
+    commitIn(squashed, 'squashed.txt');
+    commitIn(squashed, 'squashed-more.txt');
+    recordWorktree('squashed', { path: squashed });
+    updateRegistryEntry('squashed', { mergedAt: new Date().toISOString(), mergedInto: 'main' });
+    const rebased = addWorktree('rebased');
+    commitIn(rebased, 'rebased.txt');
+    commitIn(repoDir, 'main.txt');
+    gitOrThrow([
+      '-c',
+      'user.name=Test',
+      '-c',
+      'user.email=t@example.com',
+      'cherry-pick',
+      'rebased',
+    ]);
+
+    await pruneCommand({ merged: true, yes: true });
+
+    expect(fs.existsSync(squashed)).toBe(false);
+    expect(fs.existsSync(rebased)).toBe(false);
+  });
+
+  it('should keep a fresh worktree that has no commits of its own', async () => {
+    const fresh = addWorktree('fresh');
+
+    await pruneCommand({ yes: true });
+
+    expect(fs.existsSync(fresh)).toBe(true);
+    expect(gitOrThrow(['branch', '--format=%(refname:short)']).stdout).toContain('fresh');
+  });
+
+  it('should remove nothing in a dry run', async () => {
+    const missing = addWorktree('missing');
+    fs.rmSync(missing, { recursive: true, force: true });
+
+    await pruneCommand({ missing: true, dryRun: true });
+
+    expect(gitOrThrow(['worktree', 'list']).stdout).toContain(missing);
+  });
+});
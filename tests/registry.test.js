@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import {
+  getRegistryEntry,
+  readRegistry,
+  recordWorktree,
+  removeRegistryEntry,
+  renameRegistryEntry,
+  updateRegistryEntry,
+} from '../utils/registry.js';
+
+describe('registry', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+  let registryPath;
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-registry-')));
+    process.chdir(tempDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    gitOrThrow(['config', 'user.name', 'Registry Tester']);
+    registryPath = path.join(tempDir, '.git', 'spawn', 'registry.json');
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should start empty when there is no registry file', () => {
+    expect(readRegistry()).toEqual({ version: 1, worktrees: {} });
+    expect(getRegistryEntry('fix-auth')).toBeNull();
+  });
+
+  it('should record a worktree with its creator', () => {
+    recordWorktree('fix-auth', { path: '/repo-fix-auth', prompt: 'Fix it', base: 'main' });
+
+    const entry = getRegistryEntry('fix-auth');
+    expect(entry).toMatchObject({
+      branch: 'fix-auth',
+      path: '/repo-fix-auth',
+      prompt: 'Fix it',
+      editor: null,
+      base: 'main',
+      createdBy: 'Registry Tester',
+    });
+    expect(Number.isNaN(Date.parse(entry.createdAt))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(registryPath, 'utf8')).worktrees['fix-auth']).toEqual(entry);
+  });
+
+  it('should update, rename and remove entries', () => {
+    recordWorktree('fix-auth', { path: '/repo-fix-auth' });
+    updateRegistryEntry('fix-auth', { mergedInto: 'main' });
+    updateRegistryEntry('unknown', { mergedInto: 'main' });
+    expect(getRegistryEntry('fix-auth').mergedInto).toBe('main');
+    expect(getRegistryEntry('unknown')).toBeNull();
+
+    renameRegistryEntry('fix-auth', 'fix-login', { path: '/repo-fix-login' });
+    expect(getRegistryEntry('fix-auth')).toBeNull();
+    expect(getRegistryEntry('fix-login')).toMatchObject({
+      branch: 'fix-login',
+      path: '/repo-fix-login',
+      mergedInto: 'main',
+    });
+
+    removeRegistryEntry('fix-login');
+    expect(readRegistry().worktrees).toEqual({});
+  });
+
+  it('should treat a corrupt registry file as empty and replace it on the next write', () => {
+    fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+    fs.writeFileSync(registryPath, '{"version": 1, "worktrees": {');
+
+    expect(readRegistry()).toEqual({ version: 1, worktrees: {} });
+
+    recordWorktree('fix-auth', { path: '/repo-fix-auth' });
+    expect(Object.keys(JSON.parse(fs.readFileSync(registryPath, 'utf8')).worktrees)).toEqual([
+      'fix-auth',
+    ]);
+  });
+});
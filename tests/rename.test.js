@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import { getHeadlessPaths } from '../utils/headless.js';
+import { getRegistryEntry, recordWorktree } from '../utils/registry.js';
+import { renameCommand } from '../rename.js';
+
+describe('renameCommand', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+  let repoDir;
+  let worktreePath;
+
+  const branches = () => gitOrThrow(['branch', '--format=%(refname:short)']).stdout.split('\n');
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-rename-')));
+    repoDir = path.join(tempDir, 'repo');
+    worktreePath = path.join(tempDir, 'repo-fix-bug');
+    fs.mkdirSync(repoDir);
+    process.chdir(repoDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    fs.writeFileSync('README.md', 'hello\n');
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['-c', 'user.name=Test', '-c', 'user.email=t@example.com', 'commit', '-qm', 'init']);
+    gitOrThrow(['worktree', 'add', '-q', '-b', 'fix-bug', worktreePath]);
+    recordWorktree('fix-bug', { path: worktreePath, prompt: 'Fix the bug' });
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should rename the branch, move the worktree and carry over its registry entry', async () => {
+    await renameCommand('fix-bug', 'fix-login');
+
+    const newPath = path.join(tempDir, 'repo-fix-login');
+    expect(fs.existsSync(worktreePath)).toBe(false);
+    expect(gitOrThrow(['-C', newPath, 'branch', '--show-current']).stdout.trim()).toBe('fix-login');
+    expect(branches()).not.toContain('fix-bug');
+    expect(getRegistryEntry('fix-bug')).toBeNull();
+    expect(getRegistryEntry('fix-login')).toMatchObject({ path: newPath, prompt: 'Fix the bug' });
+  });
+
+  it('should restore the branch name when the worktree cannot be moved', async () => {
+    // The new worktree directory would go inside a file, so git worktree move fails
+    fs.writeFileSync('blocker', '');
+    fs.writeFileSync('.spawnrc', JSON.stringify({ worktreeDir: 'blocker' }));
+
+    await expect(renameCommand('fix-bug', 'fix-login')).rejects.toThrow('exit 1');
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not move worktree'));
+    expect(branches()).toContain('fix-bug');
+    expect(branches()).not.toContain('fix-login');
+    expect(gitOrThrow(['-C', worktreePath, 'branch', '--show-current']).stdout.trim()).toBe(
+      'fix-bug'
+    );
+    expect(getRegistryEntry('fix-bug')).not.toBeNull();
+  });
+
+  it('should refuse while a headless run is going in the worktree', async () => {
+    const { statusPath } = getHeadlessPaths(worktreePath);
+    fs.mkdirSync(path.dirname(statusPath), { recursive: true });
+    fs.writeFileSync(statusPath, JSON.stringify({ state: 'running', pid: process.pid }));
+
+    await expect(renameCommand('fix-bug', 'fix-login')).rejects.toThrow('exit 1');
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('headless run'));
+    expect(fs.existsSync(worktreePath)).toBe(true);
+    expect(branches()).toContain('fix-bug');
+  });
+});
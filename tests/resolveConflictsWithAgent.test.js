@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import inquirer from 'inquirer';
+import { gitOrThrow } from '../utils/run.js';
+import { DEFAULT_CONFIG } from '../utils/loadConfig.js';
+import mergeBranch from '../utils/mergeBranch.js';
+import resolveConflictsWithAgent, {
+  buildConflictPrompt,
+  findConflictMarkers,
+} from '../utils/resolveConflictsWithAgent.js';
+
+describe('buildConflictPrompt', () => {
+  it('should name both branches, the conflicted files and the commits', () => {
+    const prompt = buildConflictPrompt({
+      branchName: 'claude/fix-auth',
+      currentBranch: 'main',
+      conflicts: ['src/auth.js', 'README.md'],
+      ourCommits: ['abc1234 Refactor login'],
+      theirCommits: [],
+    });
+
+    expect(prompt).toContain("Merging the branch 'claude/fix-auth' into 'main'");
+    expect(prompt).toContain('- src/auth.js\n- README.md');
+    expect(prompt).toContain(
+      "Commits on 'main' since the branches split:\n- abc1234 Refactor login"
+    );
+    expect(prompt).toContain("Commits on 'claude/fix-auth' being merged:\n- (none)");
+    expect(prompt).toMatch(/Do not commit/);
+  });
+});
+
+describe('findConflictMarkers', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-markers-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report files that still have conflict markers', () => {
+    fs.writeFileSync(
+      path.join(tempDir, 'conflicted.js'),
+      'a\n<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> feature\n'
+    );
+    fs.writeFileSync(path.join(tempDir, 'resolved.js'), 'ours and theirs\n');
+    fs.writeFileSync(path.join(tempDir, 'notes.md'), 'Title\n===\nx <<<<<<< not a marker\n');
+    fs.writeFileSync(path.join(tempDir, 'guide.rst'), 'Guide\n=======\n\nText\n');
+
+    expect(
+      findConflictMarkers(
+        ['conflicted.js', 'resolved.js', 'notes.md', 'guide.rst', 'deleted.js'],
+        tempDir
+      )
+    ).toEqual(['conflicted.js']);
+  });
+});
+
+describe('resolveConflictsWithAgent', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+    process.chdir(originalCwd);
+    if (tempDir) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  });
+
+  it('should commit a resolved squash with the generated squash message', async () => {
+    vi.stubEnv('GIT_AUTHOR_NAME', 'Test');
+    vi.stubEnv('GIT_AUTHOR_EMAIL', 'test@example.com');
+    vi.stubEnv('GIT_COMMITTER_NAME', 'Test');
+    vi.stubEnv('GIT_COMMITTER_EMAIL', 'test@example.com');
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-agent-')));
+    process.chdir(tempDir);
+    const commit = (content, message) => {
+      fs.writeFileSync('shared.txt', content);
+      gitOrThrow(['commit', '-qam', message]);
+    };
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    fs.writeFileSync('shared.txt', 'base\n');
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['commit', '-qm', 'init']);
+    gitOrThrow(['checkout', '-q', '-b', 'feature']);
+    commit('feature\n', 'Change shared file');
+    commit('feature 2\n', 'Change it again');
+    gitOrThrow(['checkout', '-q', 'main']);
+    commit('main\n', 'Change on main');
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(inquirer, 'prompt').mockResolvedValue({ completeMerge: true });
+    const result = mergeBranch('feature', 'main', { strategy: 'squash', edit: false });
+    expect(result.conflicts).toEqual(['shared.txt']);
+
+    // A stand-in agent that resolves the conflict without committing
+    const config = {
+      ...DEFAULT_CONFIG,
+      editor: 'fake-agent',
+      launchers: {
+        'fake-agent': {
+          command: process.execPath,
+          args: ['-e', "require('fs').writeFileSync('shared.txt', 'resolved\\n')"],
+          promptArgs: [],
+        },
+      },
+    };
+    await expect(
+      resolveConflictsWithAgent('feature', 'main', ['shared.txt'], config, { edit: false })
+    ).resolves.toBe(true);
+
+    expect(gitOrThrow(['log', '-1', '--format=%B']).stdout.trim()).toBe(
+      "Squash merge branch 'feature'\n\n* Change shared file\n* Change it again"
+    );
+    expect(fs.readFileSync('shared.txt', 'utf8')).toBe('resolved\n');
+  });
+
+  it('should report a malformed launcher instead of throwing', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const config = { editor: 'broken', launchers: { broken: { args: [] } } };
+
+    await expect(resolveConflictsWithAgent('feature', 'main', ['a.js'], config)).resolves.toBe(
+      false
+    );
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining("Launcher 'broken' must declare a command")
+    );
+  });
+});
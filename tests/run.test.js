@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import run, { git, gitOrThrow } from '../utils/run.js';
+import shellQuote from '../utils/shellQuote.js';
+import { getLauncher, buildLaunchCommand } from '../utils/launchers.js';
+
+const HOSTILE = [
+  'fix "quoted" bug',
+  "it's broken",
+  'run `touch pwned` now',
+  'and $(touch pwned) too',
+  'semi; touch pwned',
+  'pipe | touch pwned && echo $HOME',
+  '--version',
+  'multi\nline\tmessage \\ with backslash',
+];
+
+describe('run', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-run-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should pass hostile arguments to the program unchanged', () => {
+    for (const value of HOSTILE) {
+      const result = run('node', ['-e', 'process.stdout.write(process.argv[1])', '--', value], {
+        cwd: tmpDir,
+      });
+      expect(result.ok).toBe(true);
+      expect(result.stdout).toBe(value);
+    }
+    expect(fs.existsSync(path.join(tmpDir, 'pwned'))).toBe(false);
+  });
+
+  it('should return stdout, stderr and the exit code', () => {
+    const result = run('node', [
+      '-e',
+      'process.stdout.write("out"); process.stderr.write("err"); process.exit(3)',
+    ]);
+    expect(result).toMatchObject({ stdout: 'out', stderr: 'err', exitCode: 3, ok: false });
+  });
+
+  it('should report a missing program instead of throwing', () => {
+    const result = run('spawn-no-such-program');
+    expect(result.ok).toBe(false);
+    expect(result.exitCode).toBeNull();
+    expect(result.error).toBeInstanceOf(Error);
+  });
+
+  it('should round-trip hostile commit messages through git', () => {
+    const env = {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'Test',
+      GIT_COMMITTER_EMAIL: 'test@example.com',
+    };
+    gitOrThrow(['init', '-q', tmpDir]);
+
+    for (const message of HOSTILE) {
+      const args = ['commit', '-q', '--allow-empty', '--cleanup=verbatim', '-m', message];
+      gitOrThrow(['-C', tmpDir, ...args], { env });
+      const logged = gitOrThrow(['-C', tmpDir, 'log', '-1', '--format=%B']).stdout;
+      expect(logged.replace(/\n+$/, '')).toBe(message);
+    }
+    expect(fs.existsSync(path.join(tmpDir, 'pwned'))).toBe(false);
+  });
+
+  it('should throw with git error output from gitOrThrow', () => {
+    expect(() => gitOrThrow(['-C', tmpDir, 'rev-parse', '--show-toplevel'])).toThrow(
+      /not a git repository/
+    );
+    expect(git(['-C', tmpDir, 'rev-parse', '--show-toplevel']).ok).toBe(false);
+  });
+});
+
+describe('shellQuote', () => {
+  it('should produce strings a shell reads back as the original value', () => {
+    for (const value of [...HOSTILE, 'plain', '']) {
+      const result = run('sh', ['-c', `printf %s ${shellQuote(value)}`]);
+      expect(result.stdout).toBe(value);
+    }
+  });
+});
+
+describe('launch commands', () => {
+  it('should keep a hostile prompt as a single argument', () => {
+    const prompt = 'say "hi" `touch pwned` $(touch pwned)';
+    const { command, args } = buildLaunchCommand(getLauncher('claude', {}), { prompt });
+    expect(command).toBe('claude');
+    expect(args).toContain(prompt);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitOrThrow } from '../utils/run.js';
+import runMergeQueue from '../utils/runMergeQueue.js';
+
+describe('runMergeQueue', () => {
+  const originalCwd = process.cwd();
+  const config = { environment: { enabled: false } };
+  let tempDir;
+
+  const commitFile = (file, content, message) => {
+    fs.writeFileSync(file, content);
+    gitOrThrow(['add', '-A']);
+    gitOrThrow(['commit', '-qm', message]);
+  };
+
+  const createBranch = (branch, file, content) => {
+    gitOrThrow(['checkout', '-q', '-b', branch, 'main']);
+    commitFile(file, content, `Add ${branch}`);
+    gitOrThrow(['checkout', '-q', 'main']);
+  };
+
+  beforeEach(() => {
+    // Merging writes commits, so git needs an identity
+    vi.stubEnv('GIT_AUTHOR_NAME', 'Test');
+    vi.stubEnv('GIT_AUTHOR_EMAIL', 'test@example.com');
+    vi.stubEnv('GIT_COMMITTER_NAME', 'Test');
+    vi.stubEnv('GIT_COMMITTER_EMAIL', 'test@example.com');
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-queue-')));
+    process.chdir(tempDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    commitFile('shared.txt', 'base\n', 'init');
+
+    createBranch('first', 'first.txt', 'first\n');
+    createBranch('broken', 'broken.txt', 'broken\n');
+    createBranch('clash', 'shared.txt', 'clash\n');
+    createBranch('last', 'last.txt', 'last\n');
+    commitFile('shared.txt', 'main\n', 'Update main');
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should stop at a failed verification and roll that merge back', () => {
+    const results = runMergeQueue(['first', 'broken', 'last'], 'main', config, {
+      strategy: 'merge',
+      verify: 'test ! -f broken.txt',
+    });
+
+    expect(results.map((result) => result.status)).toEqual(['landed', 'failed', 'waiting']);
+    expect(fs.existsSync('first.txt')).toBe(true);
+    expect(fs.existsSync('broken.txt')).toBe(false);
+    expect(gitOrThrow(['log', '-1', '--format=%s']).stdout.trim()).toBe(
+      "Merge branch 'first' into main"
+    );
+  });
+
+  it('should restore a rebased branch when its verification fails', () => {
+    const broken = gitOrThrow(['rev-parse', 'broken']).stdout.trim();
+    const worktreePath = path.join(tempDir, 'broken-worktree');
+    gitOrThrow(['worktree', 'add', '-q', worktreePath, 'broken']);
+
+    const results = runMergeQueue(['first', 'broken'], 'main', config, {
+      strategy: 'rebase',
+      verify: 'test ! -f broken.txt',
+    });
+
+    expect(results.map((result) => result.status)).toEqual(['landed', 'failed']);
+    expect(gitOrThrow(['rev-parse', 'broken']).stdout.trim()).toBe(broken);
+    expect(gitOrThrow(['-C', worktreePath, 'status', '--porcelain']).stdout).toBe('');
+    expect(fs.existsSync(path.join(worktreePath, 'shared.txt'))).toBe(true);
+    expect(fs.readFileSync(path.join(worktreePath, 'shared.txt'), 'utf8')).toBe('base\n');
+  });
+
+  it('should stop at a conflict and leave no merge in progress', () => {
+    const results = runMergeQueue(['clash', 'last'], 'main', config, {
+      strategy: 'squash',
+      verify: null,
+    });
+
+    expect(results).toEqual([
+      { branch: 'clash', status: 'conflicted', details: 'shared.txt' },
+      { branch: 'last', status: 'waiting', details: '' },
+    ]);
+    expect(gitOrThrow(['status', '--porcelain']).stdout).toBe('');
+    expect(fs.readFileSync('shared.txt', 'utf8')).toBe('main\n');
+  });
+});
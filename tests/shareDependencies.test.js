@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import shareDependencies, {
+  getInstallCommand,
+  lockfilesMatch,
+  linkTree,
+} from '../utils/shareDependencies.js';
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+describe('shareDependencies', () => {
+  let tmpDir;
+  let sourceRoot;
+  let targetRoot;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-deps-'));
+    sourceRoot = path.join(tmpDir, 'main');
+    targetRoot = path.join(tmpDir, 'feature');
+    writeFile(path.join(sourceRoot, 'package-lock.json'), '{"lockfileVersion":3}');
+    writeFile(path.join(targetRoot, 'package-lock.json'), '{"lockfileVersion":3}');
+    writeFile(path.join(sourceRoot, 'node_modules', 'left-pad', 'index.js'), 'module.exports = 1;');
+    fs.mkdirSync(path.join(sourceRoot, 'node_modules', '.bin'));
+    fs.symlinkSync('../left-pad/index.js', path.join(sourceRoot, 'node_modules', '.bin', 'pad'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const config = (dependencies) => ({
+    dependencies: {
+      directories: ['node_modules'],
+      lockfiles: ['package-lock.json', 'yarn.lock'],
+      install: null,
+      ...dependencies,
+    },
+  });
+
+  it('should compare lockfiles present in either worktree', () => {
+    expect(lockfilesMatch(sourceRoot, targetRoot, ['package-lock.json', 'yarn.lock'])).toBe(true);
+
+    writeFile(path.join(targetRoot, 'yarn.lock'), '# yarn');
+    expect(lockfilesMatch(sourceRoot, targetRoot, ['package-lock.json', 'yarn.lock'])).toBe(false);
+
+    expect(lockfilesMatch(sourceRoot, targetRoot, ['pnpm-lock.yaml'])).toBe(false);
+  });
+
+  it('should hardlink files and keep symlinks when the lockfiles match', () => {
+    expect(shareDependencies(targetRoot, config({ strategy: 'hardlink' }), sourceRoot)).toBe(true);
+
+    const sourceFile = path.join(sourceRoot, 'node_modules', 'left-pad', 'index.js');
+    const targetFile = path.join(targetRoot, 'node_modules', 'left-pad', 'index.js');
+    expect(fs.statSync(targetFile).ino).toBe(fs.statSync(sourceFile).ino);
+    expect(fs.readlinkSync(path.join(targetRoot, 'node_modules', '.bin', 'pad'))).toBe(
+      '../left-pad/index.js'
+    );
+  });
+
+  it('should give the new worktree its own copy of caches when hardlinking', () => {
+    writeFile(path.join(sourceRoot, 'node_modules', '.cache', 'babel.json'), '{}');
+
+    expect(shareDependencies(targetRoot, config({ strategy: 'hardlink' }), sourceRoot)).toBe(true);
+
+    const cacheFile = path.join('node_modules', '.cache', 'babel.json');
+    expect(fs.statSync(path.join(targetRoot, cacheFile)).ino).not.toBe(
+      fs.statSync(path.join(sourceRoot, cacheFile)).ino
+    );
+  });
+
+  it('should leave the source intact when the shared tree is removed', () => {
+    for (const strategy of ['hardlink', 'reflink']) {
+      const target = path.join(targetRoot, `node_modules-${strategy}`);
+      linkTree(path.join(sourceRoot, 'node_modules'), target, strategy);
+      fs.rmSync(target, { recursive: true, force: true });
+    }
+
+    const sourceFile = path.join(sourceRoot, 'node_modules', 'left-pad', 'index.js');
+    expect(fs.readFileSync(sourceFile, 'utf8')).toBe('module.exports = 1;');
+    expect(fs.existsSync(path.join(sourceRoot, 'node_modules', '.bin', 'pad'))).toBe(true);
+  });
+
+  it('should run the install command instead when the lockfile differs', () => {
+    writeFile(path.join(targetRoot, 'package-lock.json'), '{"lockfileVersion":2}');
+    const install = "node -e \"require('fs').writeFileSync('installed', '')\"";
+
+    expect(
+      shareDependencies(targetRoot, config({ strategy: 'reflink', install }), sourceRoot)
+    ).toBe(true);
+    expect(fs.existsSync(path.join(targetRoot, 'installed'))).toBe(true);
+    expect(fs.existsSync(path.join(targetRoot, 'node_modules'))).toBe(false);
+  });
+
+  it('should pick the install command from a bun.lock', () => {
+    writeFile(path.join(targetRoot, 'bun.lock'), '{}');
+
+    expect(getInstallCommand(targetRoot, { lockfiles: ['bun.lock', 'package-lock.json'] })).toBe(
+      'bun install --frozen-lockfile'
+    );
+  });
+
+  it('should fail for an unknown strategy', () => {
+    expect(shareDependencies(targetRoot, config({ strategy: 'symlink' }), sourceRoot)).toBe(false);
+    expect(fs.existsSync(path.join(targetRoot, 'node_modules'))).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { git, gitOrThrow } from '../utils/run.js';
+import { syncCommand } from '../sync.js';
+
+describe('syncCommand', () => {
+  const originalCwd = process.cwd();
+  let tempDir;
+
+  const commitAll = (cwd, message) => {
+    gitOrThrow(['-C', cwd, 'add', '-A']);
+    gitOrThrow(['-C', cwd, 'commit', '-qm', message]);
+  };
+
+  const addWorktree = (branch) => {
+    const worktreePath = path.join(tempDir, `repo-${branch}`);
+    gitOrThrow(['worktree', 'add', '-q', '-b', branch, worktreePath]);
+    return worktreePath;
+  };
+
+  beforeEach(() => {
+    // Rebasing writes commits, so git needs an identity
+    vi.stubEnv('GIT_AUTHOR_NAME', 'Test');
+    vi.stubEnv('GIT_AUTHOR_EMAIL', 'test@example.com');
+    vi.stubEnv('GIT_COMMITTER_NAME', 'Test');
+    vi.stubEnv('GIT_COMMITTER_EMAIL', 'test@example.com');
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-sync-')));
+    const repoDir = path.join(tempDir, 'repo');
+    fs.mkdirSync(repoDir);
+    process.chdir(repoDir);
+    gitOrThrow(['init', '-q', '-b', 'main']);
+    fs.writeFileSync('shared.txt', 'base\n');
+    commitAll(repoDir, 'init');
+
+    const feature = addWorktree('feature');
+    fs.writeFileSync(path.join(feature, 'feature.txt'), 'feature\n');
+    commitAll(feature, 'Add feature');
+
+    const clash = addWorktree('clash');
+    fs.writeFileSync(path.join(clash, 'shared.txt'), 'clash\n');
+    commitAll(clash, 'Change shared file');
+
+    fs.writeFileSync('shared.txt', 'main\n');
+    commitAll(repoDir, 'Update main');
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should rebase clean branches and leave conflicting ones untouched', async () => {
+    const clashHead = gitOrThrow(['rev-parse', 'clash']).stdout;
+
+    await expect(syncCommand({ fetch: false })).rejects.toThrow('exit 1');
+
+    expect(git(['merge-base', '--is-ancestor', 'main', 'feature']).ok).toBe(true);
+    expect(gitOrThrow(['rev-parse', 'clash']).stdout).toBe(clashHead);
+    const clash = path.join(tempDir, 'repo-clash');
+    // The rebase was aborted, so nothing is left half-done
+    expect(gitOrThrow(['-C', clash, 'status', '--porcelain']).stdout).toBe('');
+  });
+
+  it('should create the main branch from the remote when it has no local branch', async () => {
+    const originDir = path.join(tempDir, 'origin.git');
+    gitOrThrow(['clone', '-q', '--bare', '.', originDir]);
+    gitOrThrow(['remote', 'add', 'origin', originDir]);
+    gitOrThrow(['checkout', '-q', '--detach']);
+    gitOrThrow(['branch', '-q', '-D', 'main']);
+
+    await syncCommand({ branch: ['feature'] });
+
+    expect(gitOrThrow(['rev-parse', 'main']).stdout).toBe(
+      gitOrThrow(['-C', originDir, 'rev-parse', 'main']).stdout
+    );
+    expect(git(['merge-base', '--is-ancestor', 'main', 'feature']).ok).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let stateDir;
+vi.mock('../utils/getSpawnStateDir.js', () => ({ default: () => stateDir }));
+vi.mock('../utils/run.js', () => ({ git: () => ({ ok: false, stdout: '', stderr: '' }) }));
+
+const {
+  allocatePorts,
+  releasePorts,
+  renamePorts,
+  getPortAllocation,
+  buildWorktreeEnv,
+  setupWorktreeEnv,
+  readWorktreeEnv,
+  toEnvSlug,
+} = await import('../utils/worktreeEnv.js');
+
+describe('worktreeEnv', () => {
+  let tmpDir;
+  const environment = {
+    enabled: true,
+    file: '.env.spawn',
+    basePort: 4000,
+    portsPerWorktree: 10,
+    vars: {},
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-env-'));
+    stateDir = path.join(tmpDir, 'state');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should give each branch its own port range and keep it on reallocation', () => {
+    expect(allocatePorts('one', '/w/one', environment)).toEqual({ start: 4000, end: 4009 });
+    expect(allocatePorts('two', '/w/two', environment)).toEqual({ start: 4010, end: 4019 });
+    expect(allocatePorts('one', '/w/one', environment)).toEqual({ start: 4000, end: 4009 });
+    expect(getPortAllocation('two')).toEqual({ start: 4010, end: 4019, path: '/w/two' });
+  });
+
+  it('should reuse a released range', () => {
+    allocatePorts('one', '/w/one', environment);
+    allocatePorts('two', '/w/two', environment);
+    releasePorts('one');
+
+    expect(getPortAllocation('one')).toBeNull();
+    expect(allocatePorts('three', '/w/three', environment)).toEqual({ start: 4000, end: 4009 });
+  });
+
+  it('should move the range of a renamed branch to its new name', () => {
+    allocatePorts('old', '/w/old', environment);
+    renamePorts('old', 'new', '/w/new');
+
+    expect(getPortAllocation('old')).toBeNull();
+    expect(getPortAllocation('new')).toEqual({ start: 4000, end: 4009, path: '/w/new' });
+    expect(allocatePorts('new', '/w/new', environment)).toEqual({ start: 4000, end: 4009 });
+  });
+
+  it('should fail when no range is left', () => {
+    const narrow = { ...environment, basePort: 65530 };
+    allocatePorts('one', '/w/one', { ...narrow, portsPerWorktree: 5 });
+    expect(() => allocatePorts('two', '/w/two', { ...narrow, portsPerWorktree: 5 })).toThrow(
+      /No free range/
+    );
+  });
+
+  it('should fill placeholders in configured variables', () => {
+    const env = buildWorktreeEnv(
+      'claude/Fix-Login',
+      '/w/app',
+      { start: 4020, end: 4029 },
+      { DB_NAME: 'app_{slug}', API_URL: 'http://localhost:{port+1}', RANGE: '{port}-{portEnd}' }
+    );
+
+    expect(toEnvSlug('claude/Fix-Login')).toBe('claude_fix_login');
+    expect(env).toMatchObject({
+      SPAWN_BRANCH: 'claude/Fix-Login',
+      SPAWN_WORKTREE: '/w/app',
+      PORT: '4020',
+      DB_NAME: 'app_claude_fix_login',
+      API_URL: 'http://localhost:4021',
+      RANGE: '4020-4029',
+    });
+  });
+
+  it('should write an env file that reads back to the same variables', () => {
+    const worktree = path.join(tmpDir, 'worktree');
+    fs.mkdirSync(worktree);
+    const config = { environment: { ...environment, vars: { GREETING: 'hello "world" $HOME' } } };
+
+    const env = setupWorktreeEnv('feature', worktree, config);
+
+    expect(readWorktreeEnv(worktree, config)).toEqual(env);
+    expect(env.GREETING).toBe('hello "world" $HOME');
+  });
+
+  it('should refuse an env file outside the worktree', () => {
+    const worktree = path.join(tmpDir, 'worktree');
+    fs.mkdirSync(worktree);
+    fs.writeFileSync(path.join(tmpDir, 'outside'), 'SECRET=1\n');
+    const config = { environment: { ...environment, file: '../outside' } };
+
+    expect(() => setupWorktreeEnv('feature', worktree, config)).toThrow('outside the worktree');
+    expect(fs.readFileSync(path.join(tmpDir, 'outside'), 'utf8')).toBe('SECRET=1\n');
+    expect(getPortAllocation('feature')).toBeNull();
+    expect(readWorktreeEnv(worktree, config)).toEqual({});
+  });
+
+  it('should do nothing when disabled', () => {
+    const config = { environment: { ...environment, enabled: false } };
+    expect(setupWorktreeEnv('feature', tmpDir, config)).toBeNull();
+    expect(getPortAllocation('feature')).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+import path from 'path';
+import fs from 'fs';
+import chalk from 'chalk';
+import getGitRootDirectory from './getGitRootDirectory.js';
+import getWorktreePath from './getWorktreePath.js';
+import resolveBaseRef from './resolveBaseRef.js';
+import shellQuote from './shellQuote.js';
+import { git } from './run.js';
+
+export function applyBranchPrefix(branchName, prefix) {
+  if (!prefix || branchName.startsWith(prefix)) {
+    return branchName;
+  }
+  return `${prefix}${branchName}`;
+}
+
+/**
+ * Work out the branch, path and base ref of a new worktree without touching anything
+ * @param {string} branchName - Branch to create, before the configured prefix is applied
+ * @param {object} options - Resolved options; an explicit null `base` means the current HEAD
+ * @returns {{gitRoot: string, branchName: string, worktreePath: string, baseRef: object|null}}
+ * @throws {Error} If the git root cannot be found or the base ref does not exist
+ */
+export function planWorktree(branchName, options) {
+  const gitRoot = getGitRootDirectory();
+  if (!gitRoot) {
+    throw new Error('Could not determine git root directory');
+  }
+
+  const prefixedBranchName = applyBranchPrefix(branchName, options.config.branchPrefix);
+  const base = options.base === undefined ? options.config.baseBranch : options.base;
+
+  let baseRef = null;
+  if (base) {
+    baseRef = resolveBaseRef(base);
+    if (!baseRef) {
+      throw new Error(`Base ref '${base}' does not exist`);
+    }
+  }
+
+  return {
+    gitRoot,
+    branchName: prefixedBranchName,
+    worktreePath: getWorktreePath(gitRoot, prefixedBranchName, options.config),
+    baseRef,
+  };
+}
+
+/**
+ * Create the worktree and its new branch described by a plan from planWorktree
+ * @param {object} plan - Result of planWorktree
+ * @param {object} [runOptions] - Extra options for git, e.g. { stdio: 'pipe' } to capture output
+ * @throws {Error} With git's error message if the worktree could not be created
+ */
+export default function addWorktree(plan, runOptions = {}) {
+  const { gitRoot, branchName, worktreePath, baseRef } = plan;
+
+  fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+
+  const args = ['-C', gitRoot, 'worktree', 'add', worktreePath, '-b', branchName];
+  if (baseRef) {
+    // Track the remote branch so pull/push work out of the box
+    if (baseRef.isRemoteBranch) {
+      args.push('--track');
+    }
+    args.push(baseRef.ref);
+  }
+  console.log(chalk.gray(`Running: git ${args.map(shellQuote).join(' ')}`));
+
+  const result = git(args, { stdio: 'inherit', ...runOptions });
+  if (!result.ok) {
+    const reason = result.stderr.trim().split('\n').pop();
+    throw new Error(reason || `git worktree add exited with code ${result.exitCode}`);
+  }
+}
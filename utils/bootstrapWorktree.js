@@ -0,0 +1,113 @@
+import { execSync } from 'child_process';
+import path from 'path';
+import fs from 'fs';
+import chalk from 'chalk';
+import getWorktrees from './getWorktrees.js';
+import shareDependencies from './shareDependencies.js';
+
+function copyEntry(sourcePath, targetPath) {
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  fs.cpSync(sourcePath, targetPath, { recursive: true, verbatimSymlinks: true });
+}
+
+function symlinkEntry(sourcePath, targetPath) {
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  fs.symlinkSync(sourcePath, targetPath);
+}
+
+function isInside(root, filePath) {
+  const relative = path.relative(root, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Prepare a freshly created worktree: share or install dependencies, copy or symlink
+ * ignored files from the main worktree, then run the configured setup commands inside
+ * the new worktree
+ * @param {string} worktreePath - Path of the new worktree
+ * @param {object} config - Spawn config; reads `dependencies` and `bootstrap.copy`,
+ *   `bootstrap.symlink` and `bootstrap.commands`
+ * @returns {boolean} True if every step succeeded
+ */
+export default function bootstrapWorktree(worktreePath, config) {
+  const { copy = [], symlink = [], commands = [] } = config.bootstrap || {};
+  const steps = [
+    ...copy.map((file) => ({ type: 'copy', file })),
+    ...symlink.map((file) => ({ type: 'symlink', file })),
+    ...commands.map((command) => ({ type: 'command', command })),
+  ];
+
+  const dependencyStrategy = (config.dependencies || {}).strategy || 'none';
+
+  if (steps.length === 0 && dependencyStrategy === 'none') {
+    return true;
+  }
+
+  // The first entry of `git worktree list` is always the main worktree
+  const mainWorktree = getWorktrees()[0];
+  const sourceRoot = mainWorktree ? mainWorktree.path : null;
+  const failures = [];
+
+  console.log(chalk.blue('\nBootstrapping worktree...'));
+
+  // Dependencies come first so setup commands can use them
+  if (!shareDependencies(worktreePath, config, sourceRoot)) {
+    failures.push('dependencies');
+  }
+
+  steps.forEach((step, index) => {
+    const progress = chalk.gray(`[${index + 1}/${steps.length}]`);
+
+    if (step.type === 'command') {
+      console.log(`${progress} ${chalk.white(`Running: ${step.command}`)}`);
+      try {
+        execSync(step.command, { cwd: worktreePath, stdio: 'inherit', shell: true });
+      } catch (error) {
+        console.error(chalk.red(`  Command failed with exit code ${error.status ?? 'unknown'}`));
+        failures.push(step.command);
+      }
+      return;
+    }
+
+    const verb = step.type === 'copy' ? 'Copying' : 'Linking';
+    console.log(`${progress} ${chalk.white(`${verb} ${step.file}`)}`);
+
+    const sourcePath = sourceRoot ? path.join(sourceRoot, step.file) : null;
+    const targetPath = path.join(worktreePath, step.file);
+
+    // Entries come from config files in the repository, so they may not reach outside it
+    if (!isInside(worktreePath, targetPath) || (sourcePath && !isInside(sourceRoot, sourcePath))) {
+      console.error(chalk.red('  Rejected: the path leads outside the worktree'));
+      failures.push(step.file);
+      return;
+    }
+    if (!sourcePath || sourcePath === targetPath || !fs.existsSync(sourcePath)) {
+      console.log(chalk.yellow('  Skipped: not found in the main worktree'));
+      return;
+    }
+    if (fs.existsSync(targetPath)) {
+      console.log(chalk.gray('  Skipped: already exists in the new worktree'));
+      return;
+    }
+
+    try {
+      if (step.type === 'copy') {
+        copyEntry(sourcePath, targetPath);
+      } else {
+        symlinkEntry(sourcePath, targetPath);
+      }
+    } catch (error) {
+      console.error(chalk.red(`  Failed: ${error.message}`));
+      failures.push(step.file);
+    }
+  });
+
+  if (failures.length > 0) {
+    console.error(chalk.yellow(`\n⚠️  Bootstrap finished with ${failures.length} failure(s):`));
+    failures.forEach((failure) => console.error(chalk.red(`  • ${failure}`)));
+    return false;
+  }
+
+  console.log(chalk.green('✅ Worktree bootstrapped successfully'));
+  return true;
+}
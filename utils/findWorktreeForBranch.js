@@ -0,0 +1,11 @@
+import getWorktrees from './getWorktrees.js';
+
+/**
+ * Find the worktree that has a branch checked out
+ * @param {string} branchName - Short branch name, e.g. 'fix-auth'
+ * @param {object[]} [worktrees] - Result of getWorktrees, fetched when omitted
+ * @returns {object|undefined} The matching worktree entry
+ */
+export default function findWorktreeForBranch(branchName, worktrees = getWorktrees()) {
+  return worktrees.find((wt) => wt.branch && wt.branch.replace('refs/heads/', '') === branchName);
+}
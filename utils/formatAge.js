@@ -0,0 +1,12 @@
+/**
+ * Format the time since a date as a compact age such as 5m, 3h or 2d
+ * @param {Date} date - Point in the past
+ * @returns {string} The age in minutes, hours or days
+ */
+export default function formatAge(date) {
+  const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+}
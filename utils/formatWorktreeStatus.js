@@ -0,0 +1,88 @@
+import path from 'path';
+import chalk from 'chalk';
+import formatAge from './formatAge.js';
+import truncate from './truncate.js';
+
+function formatChanges(status) {
+  if (status.missing) return chalk.red('missing');
+  if (!status.changes) return chalk.gray('unknown');
+
+  const { staged, modified, untracked, conflicted } = status.changes;
+  const parts = [];
+  if (conflicted) parts.push(chalk.red(`${conflicted} conflicted`));
+  if (staged) parts.push(chalk.green(`${staged} staged`));
+  if (modified) parts.push(chalk.yellow(`${modified} modified`));
+  if (untracked) parts.push(chalk.gray(`${untracked} untracked`));
+  return parts.length > 0 ? parts.join(chalk.gray(', ')) : chalk.green('clean');
+}
+
+function formatAheadBehind(status, baseBranch) {
+  if (status.branch === baseBranch) return chalk.gray('base');
+  if (!status.aheadBehind) return chalk.gray('—');
+
+  const { ahead, behind } = status.aheadBehind;
+  if (ahead === 0 && behind === 0) return chalk.gray('up to date');
+  const parts = [];
+  if (ahead > 0) parts.push(chalk.green(`↑${ahead}`));
+  if (behind > 0) parts.push(chalk.red(`↓${behind}`));
+  return parts.join(' ');
+}
+
+function formatLastCommit(status) {
+  if (!status.lastCommit) return chalk.gray('—');
+  const { date, subject } = status.lastCommit;
+  return `${chalk.gray(formatAge(date).padStart(3))} ${chalk.white(truncate(subject, 40))}`;
+}
+
+function formatSession(status) {
+  const sessions = [];
+  if (status.tmux) sessions.push(chalk.green('tmux'));
+  if (status.headless) {
+    const headlessColors = {
+      running: chalk.blue,
+      succeeded: chalk.green,
+      failed: chalk.red,
+      interrupted: chalk.yellow,
+    };
+    const label =
+      status.headless.state === 'running' ? 'headless' : `headless ${status.headless.state}`;
+    sessions.push(headlessColors[status.headless.state](label));
+  }
+  return sessions.length > 0 ? sessions.join(' ') : chalk.gray('—');
+}
+
+function formatBranch(status, isCurrent) {
+  const name = status.branch ? chalk.yellow(status.branch) : chalk.yellow('detached HEAD');
+  const flags = [];
+  if (isCurrent) flags.push(chalk.green('current'));
+  if (status.prunable) flags.push(chalk.red('prunable'));
+  if (status.locked) flags.push(chalk.gray('locked'));
+  return flags.length > 0 ? `${name} ${flags.join(' ')}` : name;
+}
+
+/**
+ * Column titles of the worktree status table
+ * @param {string} baseBranch - Branch commits are counted against
+ * @returns {string[]} Headers matching the cells of formatStatusRow
+ */
+export function statusHeaders(baseBranch) {
+  return ['Worktree', 'Branch', 'Changes', `vs ${baseBranch}`, 'Last commit', 'Session'];
+}
+
+/**
+ * Format a worktree as a row of the status table
+ * @param {object} status - Result of getWorktreeStatus
+ * @param {boolean} isCurrent - Whether it is the worktree spawn runs in
+ * @param {string} baseBranch - Branch commits are counted against
+ * @returns {string[]} Colored cells
+ */
+export function formatStatusRow(status, isCurrent, baseBranch) {
+  return [
+    chalk.white(path.basename(status.path)),
+    formatBranch(status, isCurrent),
+    formatChanges(status),
+    formatAheadBehind(status, baseBranch),
+    formatLastCommit(status),
+    formatSession(status),
+  ];
+}
@@ -0,0 +1,82 @@
+import validateBranchName from './validateBranchName.js';
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'into',
+  'is',
+  'it',
+  'its',
+  'of',
+  'on',
+  'or',
+  'our',
+  'please',
+  'so',
+  'that',
+  'the',
+  'this',
+  'to',
+  'with',
+]);
+
+const MAX_WORDS = 5;
+const MAX_SLUG_LENGTH = 50;
+
+/**
+ * Turn a prompt into a short kebab-case slug of its meaningful words
+ * @param {string} prompt - Task description, e.g. 'Fix the memory leak in the parser'
+ * @returns {string} Slug such as 'fix-memory-leak-parser', or '' if nothing is left
+ */
+export function slugifyPrompt(prompt) {
+  const words = prompt
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .slice(0, MAX_WORDS);
+
+  let slug = words.join('-');
+  if (slug.length > MAX_SLUG_LENGTH) {
+    slug = slug.slice(0, MAX_SLUG_LENGTH).replace(/-[^-]*$/, '');
+  }
+  return slug;
+}
+
+/**
+ * Generate a valid, unused branch name from a prompt
+ * @param {string} prompt - Task description
+ * @param {object} [options]
+ * @param {string} [options.prefix] - Prefix such as 'claude/'
+ * @param {string[]} [options.existingBranches] - Branch names that are already taken
+ * @param {function(string): boolean} [options.isTaken] - Extra check, e.g. for an existing worktree path
+ * @returns {string} Branch name, suffixed with -2, -3... on collision
+ * @throws {Error} If the prefix makes the name invalid
+ */
+export default function generateBranchName(prompt, options = {}) {
+  const { prefix = '', existingBranches = [], isTaken = () => false } = options;
+  const baseName = `${prefix}${slugifyPrompt(prompt) || 'task'}`;
+
+  const validation = validateBranchName(baseName);
+  if (validation !== true) {
+    throw new Error(`${validation}: ${baseName}`);
+  }
+
+  let candidate = baseName;
+  for (let suffix = 2; existingBranches.includes(candidate) || isTaken(candidate); suffix++) {
+    candidate = `${baseName}-${suffix}`;
+  }
+  return candidate;
+}
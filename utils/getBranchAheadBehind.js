@@ -0,0 +1,17 @@
+import { git } from './run.js';
+
+/**
+ * Count the commits a branch has that the base does not, and the reverse
+ * @param {string} branch - Branch or commit to compare
+ * @param {string} baseBranch - Branch to compare against
+ * @returns {{ahead: number, behind: number}|null} Null if the comparison failed
+ */
+export default function getBranchAheadBehind(branch, baseBranch) {
+  const result = git(['rev-list', '--left-right', '--count', `${baseBranch}...${branch}`]);
+  if (!result.ok) {
+    // Return null to indicate the branch comparison failed
+    return null;
+  }
+  const [behind, ahead] = result.stdout.trim().split('\t').map(Number);
+  return { ahead, behind };
+}
@@ -0,0 +1,82 @@
+import { gitOrThrow } from './run.js';
+
+const STATUS_NAMES = {
+  A: 'added',
+  C: 'copied',
+  D: 'deleted',
+  M: 'modified',
+  R: 'renamed',
+  T: 'type-changed',
+};
+
+function parseNameStatus(output) {
+  const fields = output.split('\0');
+  const files = [];
+  let index = 0;
+  while (index < fields.length && fields[index]) {
+    const code = fields[index++];
+    const letter = code[0];
+    if (letter === 'R' || letter === 'C') {
+      const oldPath = fields[index++];
+      files.push({ path: fields[index++], oldPath, status: STATUS_NAMES[letter] });
+    } else {
+      files.push({ path: fields[index++], oldPath: null, status: STATUS_NAMES[letter] || 'other' });
+    }
+  }
+  return files;
+}
+
+function parseNumstat(output) {
+  const fields = output.split('\0');
+  const stats = new Map();
+  let index = 0;
+  while (index < fields.length && fields[index]) {
+    const [additions, deletions, filePath] = fields[index++].split('\t');
+    let key = filePath;
+    if (!key) {
+      // Renames leave the path empty and put the old and new paths in the next two fields
+      index++;
+      key = fields[index++];
+    }
+    stats.set(key, {
+      // Binary files have no line counts
+      additions: additions === '-' ? null : Number(additions),
+      deletions: deletions === '-' ? null : Number(deletions),
+    });
+  }
+  return stats;
+}
+
+/**
+ * List the commits and file changes a branch would bring into a base branch
+ * @param {string} branchName - Branch with the changes
+ * @param {string} baseRef - Branch or commit to compare against
+ * @returns {{commits: Array<{hash: string, subject: string, author: string, date: string}>,
+ *   files: Array<{path: string, oldPath: string|null, status: string,
+ *   additions: number|null, deletions: number|null}>}}
+ * @throws {Error} If git cannot compare the refs
+ */
+export default function getBranchChanges(branchName, baseRef) {
+  const log = gitOrThrow([
+    'log',
+    '--format=%H%x00%s%x00%an%x00%aI',
+    `${baseRef}..${branchName}`,
+  ]).stdout;
+  const commits = log
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, subject, author, date] = line.split('\0');
+      return { hash, subject, author, date };
+    });
+
+  const range = `${baseRef}...${branchName}`;
+  const nameStatus = gitOrThrow(['diff', '--name-status', '-z', '-M', range]).stdout;
+  const numstat = parseNumstat(gitOrThrow(['diff', '--numstat', '-z', '-M', range]).stdout);
+  const files = parseNameStatus(nameStatus).map((file) => ({
+    ...file,
+    ...(numstat.get(file.path) || { additions: null, deletions: null }),
+  }));
+
+  return { commits, files };
+}
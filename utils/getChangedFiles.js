@@ -0,0 +1,41 @@
+import { git } from './run.js';
+
+function splitPaths(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+/**
+ * List every file a worktree changes relative to the base branch: committed, staged and
+ * unstaged changes since the merge base, and untracked files. Both sides of a rename count.
+ * @param {string} worktreePath - Path of the worktree
+ * @param {string} baseBranch - Branch the worktree's branch started from
+ * @returns {string[]} Sorted paths relative to the worktree root
+ */
+export default function getChangedFiles(worktreePath, baseBranch) {
+  const files = new Set();
+
+  // Without a merge base, e.g. for an unrelated history, only uncommitted changes count
+  const mergeBase = git(['-C', worktreePath, 'merge-base', baseBranch, 'HEAD']);
+  const base = mergeBase.ok ? mergeBase.stdout.trim() : 'HEAD';
+
+  const diff = git([
+    '--no-optional-locks',
+    '-C',
+    worktreePath,
+    'diff',
+    '--name-only',
+    '--no-renames',
+    '-z',
+    base,
+  ]);
+  if (diff.ok) {
+    splitPaths(diff.stdout).forEach((file) => files.add(file));
+  }
+
+  const untracked = git(['-C', worktreePath, 'ls-files', '--others', '--exclude-standard', '-z']);
+  if (untracked.ok) {
+    splitPaths(untracked.stdout).forEach((file) => files.add(file));
+  }
+
+  return [...files].sort();
+}
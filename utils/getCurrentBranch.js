@@ -1,6 +1,6 @@
-import executeCommand from './executeCommand.js';
+import { git } from './run.js';
 
 export default function getCurrentBranch() {
-  const result = executeCommand('git branch --show-current');
-  return result ? result.trim() : null;
+  const result = git(['branch', '--show-current']);
+  return result.ok ? result.stdout.trim() : null;
 }
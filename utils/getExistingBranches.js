@@ -1,11 +1,11 @@
-import executeCommand from './executeCommand.js';
+import { git } from './run.js';
 
 export default function getExistingBranches() {
-  const result = executeCommand('git branch -a');
-  if (!result) return [];
+  const result = git(['branch', '-a']);
+  if (!result.ok) return [];
 
   return (
-    result
+    result.stdout
       .split('\n')
       .map((branch) => {
         // Remove the current branch marker (*) and any leading/trailing spaces
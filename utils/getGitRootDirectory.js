@@ -1,6 +1,6 @@
-import executeCommand from './executeCommand.js';
+import { git } from './run.js';
 
 export default function getGitRootDirectory() {
-  const result = executeCommand('git rev-parse --show-toplevel');
-  return result ? result.trim() : null;
+  const result = git(['rev-parse', '--show-toplevel']);
+  return result.ok ? result.stdout.trim() : null;
 }
@@ -1,10 +1,10 @@
-import executeCommand from './executeCommand.js';
+import { git } from './run.js';
 
 export default function getLocalBranches() {
-  const result = executeCommand('git branch');
-  if (!result) return [];
+  const result = git(['branch']);
+  if (!result.ok) return [];
 
-  return result
+  return result.stdout
     .split('\n')
     .map((branch) => {
       // Remove the current branch marker (*) and any leading/trailing spaces
@@ -0,0 +1,27 @@
+import { git } from './run.js';
+
+/**
+ * Determine the branch that work is branched from and merged back into
+ * @param {object} [config] - Spawn config; `baseBranch` takes precedence over detection
+ * @returns {string} The main branch name
+ */
+export default function getMainBranch(config = {}) {
+  if (config.baseBranch) {
+    return config.baseBranch;
+  }
+
+  // Try to get the default branch from remote
+  const remoteHead = git(['symbolic-ref', 'refs/remotes/origin/HEAD', '--short']);
+  if (remoteHead.ok) {
+    return remoteHead.stdout.trim().replace('origin/', '');
+  }
+
+  // Fallback to checking if main or master exists
+  if (git(['show-ref', '--verify', 'refs/heads/main']).ok) {
+    return 'main';
+  }
+  if (git(['show-ref', '--verify', 'refs/heads/master']).ok) {
+    return 'master';
+  }
+  return 'main'; // Default to main
+}
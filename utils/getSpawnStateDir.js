@@ -0,0 +1,25 @@
+import path from 'path';
+import { git } from './run.js';
+
+/**
+ * Directory where spawn keeps its state, shared by every worktree of the repository.
+ * It lives in the common git dir so it never shows up in a working tree.
+ * @returns {string|null} Absolute path of <git-common-dir>/spawn, or null outside a repository
+ */
+export default function getSpawnStateDir() {
+  const result = git(['rev-parse', '--git-common-dir']);
+  if (!result.ok) return null;
+  return path.join(path.resolve(result.stdout.trim()), 'spawn');
+}
+
+/**
+ * Directory for state that belongs to a single worktree. It lives in the worktree's own
+ * git dir, so git deletes it together with the worktree.
+ * @param {string} worktreePath - Path of the worktree
+ * @returns {string|null} Absolute path of <worktree-git-dir>/spawn, or null if it is not a worktree
+ */
+export function getWorktreeStateDir(worktreePath) {
+  const result = git(['-C', worktreePath, 'rev-parse', '--absolute-git-dir']);
+  if (!result.ok) return null;
+  return path.join(result.stdout.trim(), 'spawn');
+}
@@ -0,0 +1,31 @@
+import os from 'os';
+import path from 'path';
+
+/**
+ * Resolve the directory new worktrees are created in
+ * @param {string} gitRoot - Root of the current repository
+ * @param {object} [config] - Spawn config; `worktreeDir` is resolved against the git root
+ * @returns {string} Absolute directory path
+ */
+export function getWorktreeParentDir(gitRoot, config = {}) {
+  if (!config.worktreeDir) {
+    return path.dirname(gitRoot);
+  }
+  const dir = config.worktreeDir.replace(/^~(?=$|\/)/, os.homedir());
+  return path.resolve(gitRoot, dir);
+}
+
+/**
+ * Build the worktree path for a branch using the <repo>-<branch> naming convention,
+ * with slashes in the branch name replaced by dashes
+ * @param {string} gitRoot - Root of the current repository
+ * @param {string} branchName - Branch the worktree is for
+ * @param {object} [config] - Spawn config
+ * @returns {string} Absolute worktree path
+ */
+export default function getWorktreePath(gitRoot, branchName, config = {}) {
+  const repoName = path.basename(gitRoot);
+  // Keep branches like claude/fix-bug in a single directory level
+  const dirName = `${repoName}-${branchName.replace(/\//g, '-')}`;
+  return path.join(getWorktreeParentDir(gitRoot, config), dirName);
+}
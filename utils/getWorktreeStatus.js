@@ -0,0 +1,73 @@
+import fs from 'fs';
+import { git } from './run.js';
+import getBranchAheadBehind from './getBranchAheadBehind.js';
+import { readHeadlessStatus } from './headless.js';
+import { getSessionName } from './tmux.js';
+
+const CONFLICT_CODES = ['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'];
+
+/**
+ * Count the changed files of a worktree by kind
+ * @param {string} porcelain - Output of `git status --porcelain`
+ * @returns {{staged: number, modified: number, untracked: number, conflicted: number}}
+ */
+export function countChanges(porcelain) {
+  const changes = { staged: 0, modified: 0, untracked: 0, conflicted: 0 };
+  for (const line of porcelain.split('\n')) {
+    if (line.length < 2) continue;
+    const code = line.slice(0, 2);
+    if (code === '??') {
+      changes.untracked++;
+    } else if (CONFLICT_CODES.includes(code)) {
+      changes.conflicted++;
+    } else {
+      if (code[0] !== ' ') changes.staged++;
+      if (code[1] !== ' ') changes.modified++;
+    }
+  }
+  return changes;
+}
+
+function getLastCommit(worktreePath) {
+  const result = git(['-C', worktreePath, 'log', '-1', '--format=%h%x00%ct%x00%s']);
+  if (!result.ok || !result.stdout.trim()) return null;
+  const [hash, timestamp, subject] = result.stdout.trim().split('\0');
+  return { hash, date: new Date(Number(timestamp) * 1000), subject };
+}
+
+/**
+ * Collect the state of a worktree for the status dashboard
+ * @param {object} worktree - Entry from getWorktrees
+ * @param {string} baseBranch - Branch to count commits ahead and behind against
+ * @param {Set<string>} [tmuxSessions] - Names of running tmux sessions
+ * @returns {{path: string, branch: string|null, missing: boolean, prunable: boolean,
+ *   locked: boolean, changes: object|null, aheadBehind: object|null, lastCommit: object|null,
+ *   tmux: boolean, headless: object|null}}
+ */
+export default function getWorktreeStatus(worktree, baseBranch, tmuxSessions = new Set()) {
+  const branch = worktree.branch ? worktree.branch.replace('refs/heads/', '') : null;
+  const missing = !fs.existsSync(worktree.path);
+
+  let changes = null;
+  if (!missing) {
+    // Without optional locks git status does not rewrite the index, which watchers would see
+    const status = git(['--no-optional-locks', '-C', worktree.path, 'status', '--porcelain']);
+    changes = status.ok ? countChanges(status.stdout) : null;
+  }
+
+  const ref = branch || worktree.head;
+  const aheadBehind = ref && branch !== baseBranch ? getBranchAheadBehind(ref, baseBranch) : null;
+
+  return {
+    path: worktree.path,
+    branch,
+    missing,
+    prunable: Boolean(worktree.prunable),
+    locked: Boolean(worktree.locked),
+    changes,
+    aheadBehind,
+    lastCommit: missing ? null : getLastCommit(worktree.path),
+    tmux: tmuxSessions.has(getSessionName(worktree.path)),
+    headless: missing ? null : readHeadlessStatus(worktree.path),
+  };
+}
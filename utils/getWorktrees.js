@@ -1,11 +1,11 @@
-import executeCommand from './executeCommand.js';
+import { git } from './run.js';
 
 export default function getWorktrees() {
-  const result = executeCommand('git worktree list --porcelain');
-  if (!result) return [];
+  const result = git(['worktree', 'list', '--porcelain']);
+  if (!result.ok) return [];
 
   const worktrees = [];
-  const lines = result.trim().split('\n');
+  const lines = result.stdout.trim().split('\n');
   let currentWorktree = {};
 
   for (const line of lines) {
@@ -22,8 +22,11 @@ export default function getWorktrees() {
       currentWorktree.bare = true;
     } else if (line.startsWith('detached')) {
       currentWorktree.detached = true;
-    } else if (line === 'prunable') {
+    } else if (line === 'prunable' || line.startsWith('prunable ')) {
+      // git adds the reason, e.g. "prunable gitdir file points to non-existent location"
       currentWorktree.prunable = true;
+    } else if (line === 'locked' || line.startsWith('locked ')) {
+      currentWorktree.locked = true;
     } else if (line === '') {
       if (currentWorktree.path) {
         worktrees.push(currentWorktree);
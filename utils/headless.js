@@ -0,0 +1,118 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getWorktreeStateDir } from './getSpawnStateDir.js';
+
+const LOG_FILE = 'headless.log';
+const STATUS_FILE = 'headless.json';
+const RUNNER_PATH = fileURLToPath(new URL('./headlessRunner.js', import.meta.url));
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Get the log and status files of a worktree's headless run
+ * @param {string} worktreePath - Path of the worktree
+ * @returns {{logPath: string, statusPath: string}|null} Null if the path is not a worktree
+ */
+export function getHeadlessPaths(worktreePath) {
+  const stateDir = getWorktreeStateDir(worktreePath);
+  if (!stateDir) return null;
+  return {
+    logPath: path.join(stateDir, LOG_FILE),
+    statusPath: path.join(stateDir, STATUS_FILE),
+  };
+}
+
+/**
+ * Read the status of the last headless run in a worktree. A run whose runner process
+ * died without recording an exit is reported as `interrupted`.
+ * @param {string} worktreePath - Path of the worktree
+ * @returns {{state: 'running'|'succeeded'|'failed'|'interrupted', pid: number,
+ *   command: string[], startedAt: string, finishedAt?: string, exitCode?: number|null,
+ *   signal?: string|null, error?: string}|null} Null if no headless run was started
+ */
+export function readHeadlessStatus(worktreePath) {
+  const paths = getHeadlessPaths(worktreePath);
+  if (!paths) return null;
+
+  let status;
+  try {
+    status = JSON.parse(fs.readFileSync(paths.statusPath, 'utf8'));
+  } catch {
+    return null;
+  }
+
+  if (status.state === 'running' && !isProcessAlive(status.pid)) {
+    return { ...status, state: 'interrupted' };
+  }
+  return status;
+}
+
+/**
+ * Run a command in the background of a worktree, detached from this terminal. Its output
+ * goes to the worktree's headless log, and its exit status is recorded when it finishes.
+ * The status reads `running` as soon as this returns.
+ * @param {string} worktreePath - Worktree to run the command in
+ * @param {{command: string, args: string[]}} launch - Result of buildLaunchCommand
+ * @param {Object<string, string>} [env] - Extra environment variables
+ * @returns {{pid: number, logPath: string}}
+ * @throws {Error} If a headless run is already active in the worktree
+ */
+export function startHeadless(worktreePath, launch, env = {}) {
+  const paths = getHeadlessPaths(worktreePath);
+  if (!paths) {
+    throw new Error(`${worktreePath} is not a git worktree`);
+  }
+
+  const current = readHeadlessStatus(worktreePath);
+  if (current && current.state === 'running') {
+    throw new Error(`A headless run is already active (pid ${current.pid})`);
+  }
+
+  fs.mkdirSync(path.dirname(paths.logPath), { recursive: true });
+  fs.rmSync(paths.statusPath, { force: true });
+  const status = {
+    state: 'running',
+    pid: process.pid,
+    command: [launch.command, ...launch.args],
+    startedAt: new Date().toISOString(),
+  };
+  // Claim the worktree before the runner starts, so a second start sees a run right away
+  try {
+    fs.writeFileSync(paths.statusPath, `${JSON.stringify(status, null, 2)}\n`, { flag: 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error('A headless run is already starting in this worktree');
+    }
+    throw error;
+  }
+  fs.writeFileSync(paths.logPath, '');
+
+  const runner = spawn(
+    process.execPath,
+    [RUNNER_PATH, paths.statusPath, paths.logPath, launch.command, ...launch.args],
+    {
+      cwd: worktreePath,
+      env: { ...process.env, ...env },
+      detached: true,
+      stdio: 'ignore',
+    }
+  );
+  runner.unref();
+
+  // Hand the status over to the runner, which keeps it up to date from here on
+  const tmpPath = `${paths.statusPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify({ ...status, pid: runner.pid }, null, 2)}\n`);
+  fs.renameSync(tmpPath, paths.statusPath);
+
+  return { pid: runner.pid, logPath: paths.logPath };
+}
@@ -0,0 +1,46 @@
+/**
+ * Entry point of the detached process started by startHeadless. It runs the agent with
+ * its output appended to the log file and keeps the status file up to date, so the run
+ * can be followed with `spawn logs` after the terminal that started it is gone.
+ *
+ * Usage: node headlessRunner.js <status-file> <log-file> <command> [args...]
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+
+const [statusPath, logPath, command, ...args] = process.argv.slice(2);
+const startedAt = new Date().toISOString();
+
+function writeStatus(fields) {
+  const status = { pid: process.pid, command: [command, ...args], startedAt, ...fields };
+  const tmpPath = `${statusPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(status, null, 2)}\n`);
+  fs.renameSync(tmpPath, statusPath);
+}
+
+const log = fs.openSync(logPath, 'a');
+writeStatus({ state: 'running' });
+
+const child = spawn(command, args, { stdio: ['ignore', log, log] });
+let finished = false;
+
+function finish(fields) {
+  if (finished) return;
+  finished = true;
+  writeStatus({ ...fields, finishedAt: new Date().toISOString() });
+  fs.closeSync(log);
+}
+
+child.on('error', (error) => {
+  fs.writeSync(log, `spawn: could not start ${command}: ${error.message}\n`);
+  finish({ state: 'failed', exitCode: null, signal: null, error: error.message });
+});
+
+child.on('exit', (exitCode, signal) => {
+  finish({ state: exitCode === 0 ? 'succeeded' : 'failed', exitCode, signal });
+});
+
+// Stopping the runner stops the agent, and the exit is still recorded
+for (const signal of ['SIGTERM', 'SIGINT', 'SIGHUP']) {
+  process.on(signal, () => child.kill(signal));
+}
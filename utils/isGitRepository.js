@@ -1,6 +1,6 @@
-import executeCommand from './executeCommand.js';
+import { git } from './run.js';
 
 export default function isGitRepository() {
-  const result = executeCommand('git rev-parse --is-inside-work-tree');
-  return result && result.trim() === 'true';
+  const result = git(['rev-parse', '--is-inside-work-tree']);
+  return result.ok && result.stdout.trim() === 'true';
 }
@@ -0,0 +1,105 @@
+import { spawnSync } from 'child_process';
+import chalk from 'chalk';
+import { buildLaunchCommand, getLauncher } from './launchers.js';
+import shellQuote from './shellQuote.js';
+import { getSessionName, hasSession, isTmuxAvailable, startSession } from './tmux.js';
+import { readWorktreeEnv } from './worktreeEnv.js';
+import { startHeadless } from './headless.js';
+import { git } from './run.js';
+
+function launchInTmux(launch, cwd, env) {
+  if (!isTmuxAvailable()) {
+    console.error(chalk.red('Error: tmux is not installed or not in your PATH'));
+    return false;
+  }
+
+  const sessionName = getSessionName(cwd);
+  if (hasSession(sessionName)) {
+    console.log(chalk.yellow(`tmux session '${sessionName}' is already running`));
+    return true;
+  }
+
+  console.log(chalk.blue(`\nLaunching ${launch.command} in tmux session '${sessionName}'...`));
+  try {
+    const command = [launch.command, ...launch.args].map(shellQuote).join(' ');
+    startSession(sessionName, cwd, command, env);
+    console.log(chalk.green(`✅ Session started in the background`));
+    console.log(chalk.gray(`Attach with: tmux attach -t ${sessionName}`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Failed to start tmux session: ${error.message}`));
+    return false;
+  }
+}
+
+function launchHeadless(launch, cwd, env) {
+  console.log(chalk.blue(`\nRunning ${launch.command} headless in the background...`));
+  try {
+    const { pid, logPath } = startHeadless(cwd, launch, env);
+    const branch = git(['-C', cwd, 'branch', '--show-current']).stdout.trim();
+    console.log(chalk.green(`✅ Started with pid ${pid}`));
+    console.log(chalk.gray(`Log: ${logPath}`));
+    console.log(chalk.gray(`Follow with: spawn logs ${branch} --follow`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Failed to start headless run: ${error.message}`));
+    return false;
+  }
+}
+
+/**
+ * Launch the configured editor through its launcher adapter, blocking until it exits,
+ * start it in a detached tmux session when `options.tmux` is set, or run it
+ * non-interactively in the background when `options.headless` is set
+ * @param {object} options - Resolved add options (editor, prompt, dangerouslySkipPermissions,
+ *   tmux, headless, config)
+ * @param {string} [cwd] - Directory to launch the editor in, defaults to the current directory
+ * @returns {boolean} False if the editor could not be launched
+ */
+export default function launchEditor(options, cwd = process.cwd()) {
+  if (!options.editor) {
+    return true;
+  }
+
+  let launch;
+  try {
+    const launcher = getLauncher(options.editor, options.config);
+    launch = buildLaunchCommand(launcher, {
+      prompt: options.prompt,
+      cwd,
+      dangerouslySkipPermissions: options.dangerouslySkipPermissions,
+      headless: options.headless,
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    return false;
+  }
+
+  launch.warnings.forEach((warning) => console.log(chalk.yellow(`Warning: ${warning}`)));
+
+  // Ports and variables spawn allocated for this worktree
+  const env = readWorktreeEnv(cwd, options.config || {});
+
+  if (options.headless) {
+    return launchHeadless(launch, cwd, env);
+  }
+  if (options.tmux) {
+    return launchInTmux(launch, cwd, env);
+  }
+
+  console.log(chalk.blue(`\nLaunching ${options.editor}...`));
+  const result = spawnSync(launch.command, launch.args, {
+    cwd,
+    stdio: 'inherit',
+    env: { ...process.env, ...env },
+  });
+  if (result.error) {
+    console.error(
+      chalk.yellow(
+        `Warning: Could not launch ${launch.command}. Make sure it's installed and in your PATH.`
+      )
+    );
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,184 @@
+/**
+ * Built-in launchers. Each adapter declares how its editor or agent is started:
+ * - command: executable to run, always started inside the worktree
+ * - args: arguments passed on every launch
+ * - promptArgs: arguments added when a prompt is given; null if prompts are not supported
+ * - permissionArgs: arguments added for --dangerously-skip-permissions; null if not supported
+ * - headlessArgs: arguments used instead of promptArgs for a non-interactive run that
+ *   prints its result and exits; null if headless mode is not supported
+ *
+ * Placeholders {prompt} and {cwd} are replaced inside arguments. Arguments are
+ * passed as an argv array, never through a shell.
+ */
+export const BUILTIN_LAUNCHERS = {
+  claude: {
+    command: 'claude',
+    args: [],
+    promptArgs: ['{prompt}'],
+    permissionArgs: ['--dangerously-skip-permissions'],
+    headlessArgs: ['--print', '{prompt}'],
+  },
+  code: {
+    command: 'code',
+    args: ['{cwd}'],
+    promptArgs: null,
+    permissionArgs: null,
+  },
+  cursor: {
+    command: 'cursor',
+    args: ['{cwd}'],
+    promptArgs: null,
+    permissionArgs: null,
+  },
+  vim: {
+    command: 'vim',
+    args: ['.'],
+    promptArgs: null,
+    permissionArgs: null,
+  },
+  nvim: {
+    command: 'nvim',
+    args: ['.'],
+    promptArgs: null,
+    permissionArgs: null,
+  },
+};
+
+const ALIASES = {
+  vscode: 'code',
+};
+
+function validateLauncher(name, launcher) {
+  if (!launcher || typeof launcher.command !== 'string' || !launcher.command) {
+    throw new Error(`Launcher '${name}' must declare a command`);
+  }
+  for (const key of ['args', 'promptArgs', 'permissionArgs', 'headlessArgs']) {
+    const value = launcher[key];
+    if (value != null && !(Array.isArray(value) && value.every((arg) => typeof arg === 'string'))) {
+      throw new Error(`Launcher '${name}' has an invalid ${key}; expected a list of strings`);
+    }
+  }
+}
+
+/**
+ * Split a command template such as `code --wait {cwd}` into words. Single and double
+ * quotes group words the way a shell would, without any expansion.
+ * @param {string} template - Command template
+ * @returns {string[]} Words of the template
+ */
+function splitCommand(template) {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (const char of template) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        word += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      word = word ?? '';
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word ?? '') + char;
+    }
+  }
+  if (quote) {
+    throw new Error(`Unterminated quote in editor command: ${template}`);
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+/**
+ * Generic adapter for an editor without a launcher: the first word is the command and the
+ * rest its arguments. The prompt is only passed where the template has a {prompt} placeholder.
+ */
+function buildGenericLauncher(template) {
+  const [command, ...args] = splitCommand(template);
+  return {
+    command,
+    args,
+    promptArgs: args.some((arg) => arg.includes('{prompt}')) ? [] : null,
+    permissionArgs: null,
+  };
+}
+
+/**
+ * Look up a launcher by name. Launchers from the `launchers` config section override
+ * the built-in ones; unknown names are treated as a command template, e.g.
+ * `code --wait {cwd}`, by a generic adapter.
+ * @param {string} name - Editor name, e.g. 'claude', 'code' or a custom launcher
+ * @param {object} [config] - Spawn config
+ * @returns {object} Launcher with name, command, args, promptArgs, permissionArgs and headlessArgs
+ * @throws {Error} If a custom launcher or the command template is malformed
+ */
+export function getLauncher(name, config = {}) {
+  const customLaunchers = config.launchers || {};
+  const resolvedName = customLaunchers[name] ? name : ALIASES[name] || name;
+  const definition =
+    customLaunchers[resolvedName] || BUILTIN_LAUNCHERS[resolvedName] || buildGenericLauncher(name);
+
+  validateLauncher(name, definition);
+  return {
+    name: resolvedName,
+    args: [],
+    promptArgs: null,
+    permissionArgs: null,
+    headlessArgs: null,
+    ...definition,
+  };
+}
+
+function fillPlaceholders(args, values) {
+  // A bare {prompt} is left out without a prompt instead of becoming an empty argument
+  return args
+    .filter((arg) => arg !== '{prompt}' || values.prompt)
+    .map((arg) => arg.replace(/\{(prompt|cwd)\}/g, (match, key) => values[key] ?? ''));
+}
+
+/**
+ * Build the argv to start a launcher
+ * @param {object} launcher - Result of getLauncher
+ * @param {object} session - prompt, cwd, dangerouslySkipPermissions and headless of the session
+ * @returns {{command: string, args: string[], warnings: string[]}}
+ * @throws {Error} For a headless session without a prompt or headless support
+ */
+export function buildLaunchCommand(launcher, session) {
+  const values = { prompt: session.prompt, cwd: session.cwd };
+
+  if (session.headless && !launcher.headlessArgs) {
+    throw new Error(`${launcher.name} has no headless mode`);
+  }
+  if (session.headless && !session.prompt) {
+    throw new Error('Headless mode needs a prompt (--prompt)');
+  }
+
+  const args = fillPlaceholders(launcher.args, values);
+  const warnings = [];
+
+  if (session.dangerouslySkipPermissions) {
+    if (launcher.permissionArgs) {
+      args.push(...fillPlaceholders(launcher.permissionArgs, values));
+    } else {
+      warnings.push(`${launcher.name} does not support skipping permissions; flag ignored`);
+    }
+  }
+
+  if (session.headless) {
+    args.push(...fillPlaceholders(launcher.headlessArgs, values));
+  } else if (session.prompt) {
+    if (launcher.promptArgs) {
+      args.push(...fillPlaceholders(launcher.promptArgs, values));
+    } else {
+      warnings.push(`${launcher.name} does not accept a prompt; it was not passed`);
+    }
+  }
+
+  return { command: launcher.command, args, warnings };
+}
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import getGitRootDirectory from './getGitRootDirectory.js';
+
+export const DEFAULT_CONFIG = {
+  editor: 'claude',
+  dangerouslySkipPermissions: false,
+  sessionMode: 'inline',
+  baseBranch: null,
+  worktreeDir: null,
+  branchPrefix: '',
+  launchers: {},
+  bootstrap: {
+    copy: [],
+    symlink: [],
+    commands: [],
+  },
+  dependencies: {
+    strategy: 'none',
+    directories: ['node_modules'],
+    lockfiles: ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lock', 'bun.lockb'],
+    install: null,
+  },
+  environment: {
+    enabled: false,
+    file: '.env.spawn',
+    basePort: 3100,
+    portsPerWorktree: 10,
+    vars: {},
+  },
+  merge: {
+    removeAfterMerge: 'ask',
+    strategy: 'merge',
+    verify: null,
+    resolveWithAgent: 'never',
+  },
+  sync: {
+    strategy: 'rebase',
+    fetch: true,
+  },
+};
+
+const REPO_CONFIG_FILES = ['.spawnrc', '.spawnrc.json', 'spawn.config.json'];
+
+function getUserConfigFiles(homeDir) {
+  const xdgConfigHome = process.env.XDG_CONFIG_HOME || path.join(homeDir, '.config');
+  return [path.join(homeDir, '.spawnrc'), path.join(xdgConfigHome, 'spawn', 'config.json')];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge two config objects. Arrays and scalar values in the override replace the base.
+ * @param {object} base - Lower precedence config
+ * @param {object} override - Higher precedence config
+ * @returns {object} Merged config
+ */
+export function mergeConfig(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) continue;
+    result[key] =
+      isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return result;
+}
+
+function readConfigFile(candidates) {
+  const filePath = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!filePath) return {};
+
+  try {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!isPlainObject(config)) {
+      throw new Error('expected a JSON object');
+    }
+    return config;
+  } catch (error) {
+    console.error(
+      chalk.yellow(`Warning: Ignoring invalid config file ${filePath}: ${error.message}`)
+    );
+    return {};
+  }
+}
+
+/**
+ * Load the spawn configuration, layering the user-level file and the repository file
+ * on top of the defaults. CLI flags are applied on top of the result by each command.
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Repository root to read the repo config from
+ * @param {string} [options.homeDir] - Home directory to read the user config from
+ * @returns {object} Resolved configuration
+ */
+export default function loadConfig(options = {}) {
+  const homeDir = options.homeDir || os.homedir();
+  const repoRoot = options.cwd || getGitRootDirectory();
+
+  const userConfig = readConfigFile(getUserConfigFiles(homeDir));
+  const repoConfig = repoRoot
+    ? readConfigFile(REPO_CONFIG_FILES.map((file) => path.join(repoRoot, file)))
+    : {};
+
+  return mergeConfig(mergeConfig(DEFAULT_CONFIG, userConfig), repoConfig);
+}
@@ -0,0 +1,18 @@
+/**
+ * Check a branch name against a pattern where `*` matches any run of characters,
+ * including `/`, and `?` matches a single character
+ * @param {string} branchName - Branch to check
+ * @param {string} pattern - Pattern such as `claude/*`
+ * @returns {boolean} True if the whole branch name matches
+ */
+export default function matchesBranchPattern(branchName, pattern) {
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`).test(branchName);
+}
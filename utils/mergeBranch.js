@@ -0,0 +1,214 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import findWorktreeForBranch from './findWorktreeForBranch.js';
+import { git } from './run.js';
+
+export const MERGE_STRATEGIES = ['merge', 'squash', 'rebase', 'ff-only'];
+
+const STRATEGY_FLAGS = { squash: 'squash', rebase: 'rebase', ffOnly: 'ff-only' };
+
+/**
+ * Pick the merge strategy from the --squash, --rebase and --ff-only flags, falling back
+ * to `merge.strategy` in the config. Exits when more than one flag is given.
+ * @param {object} options - Parsed command options
+ * @param {object} config - Spawn config
+ * @returns {'merge'|'squash'|'rebase'|'ff-only'} The strategy
+ */
+export function resolveMergeStrategy(options, config) {
+  const flags = Object.keys(STRATEGY_FLAGS).filter((flag) => options[flag]);
+  if (flags.length > 1) {
+    console.error(
+      chalk.red(
+        `Error: Use only one of ${flags.map((flag) => `--${STRATEGY_FLAGS[flag]}`).join(', ')}`
+      )
+    );
+    process.exit(1);
+  }
+
+  const strategy = flags.length === 1 ? STRATEGY_FLAGS[flags[0]] : config.merge.strategy;
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    console.error(
+      chalk.red(
+        `Error: Unknown merge strategy '${strategy}'. Use one of: ${MERGE_STRATEGIES.join(', ')}`
+      )
+    );
+    process.exit(1);
+  }
+  return strategy;
+}
+
+/**
+ * Build the message of a squash commit from the subjects of the squashed commits
+ * @param {string} branchName - Branch being squashed
+ * @param {string[]} subjects - Commit subjects, oldest first
+ * @returns {string} A title line, and a list of the commits when there are several
+ */
+export function buildSquashMessage(branchName, subjects) {
+  if (subjects.length === 1) {
+    return subjects[0];
+  }
+  const list = subjects.map((subject) => `* ${subject}`).join('\n');
+  return `Squash merge branch '${branchName}'\n\n${list}`;
+}
+
+function getConflictedFiles(cwd) {
+  return git(['-C', cwd, 'diff', '--name-only', '--diff-filter=U'])
+    .stdout.split('\n')
+    .filter(Boolean);
+}
+
+function conflictResult(cwd, resolution) {
+  return { ok: false, conflicts: getConflictedFiles(cwd), resolution };
+}
+
+function failure(result) {
+  return {
+    ok: false,
+    conflicts: [],
+    error: result.stderr.trim() || `git exited with code ${result.exitCode}`,
+  };
+}
+
+function squashMerge(branchName, targetBranch, options) {
+  const cwd = process.cwd();
+  const subjects = git(['log', '--reverse', '--format=%s', `${targetBranch}..${branchName}`])
+    .stdout.split('\n')
+    .filter(Boolean);
+
+  const squash = git(['merge', '--squash', branchName], { stdio: 'inherit' });
+  if (!squash.ok) {
+    if (getConflictedFiles(cwd).length > 0) {
+      return conflictResult(cwd, [
+        '1. Fix the conflicts in the listed files',
+        '2. Stage the resolved files: git add <file>',
+        '3. Commit the squashed changes: git commit',
+        '4. Or abort the squash: git reset --merge',
+      ]);
+    }
+    return failure(squash);
+  }
+
+  if (git(['diff', '--cached', '--quiet']).ok) {
+    return { ok: false, conflicts: [], error: `'${branchName}' has no changes to squash` };
+  }
+
+  // With --edit, git opens the editor seeded with the generated message
+  const message = buildSquashMessage(branchName, subjects);
+  const commit = git(['commit', options.edit ? '--edit' : '--no-edit', '-m', message], {
+    stdio: 'inherit',
+  });
+  if (!commit.ok) {
+    return {
+      ok: false,
+      conflicts: [],
+      error: 'The squash commit was not created; the changes are still staged',
+    };
+  }
+  return { ok: true, conflicts: [] };
+}
+
+function rebaseMerge(branchName, targetBranch) {
+  // The branch is rebased where it is checked out, or in a temporary worktree
+  const worktree = findWorktreeForBranch(branchName);
+  let rebaseDir = worktree ? worktree.path : null;
+  let tempDir = null;
+
+  if (rebaseDir && !git(['-C', rebaseDir, 'diff', '--quiet', 'HEAD']).ok) {
+    return {
+      ok: false,
+      conflicts: [],
+      error: `The worktree of '${branchName}' at ${rebaseDir} has uncommitted changes`,
+    };
+  }
+  if (!rebaseDir) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spawn-rebase-'));
+    rebaseDir = path.join(tempDir, 'worktree');
+    const add = git(['worktree', 'add', '--quiet', rebaseDir, branchName]);
+    if (!add.ok) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      return failure(add);
+    }
+  }
+
+  try {
+    const rebase = git(['-C', rebaseDir, 'rebase', targetBranch]);
+    if (!rebase.ok) {
+      const conflicts = getConflictedFiles(rebaseDir);
+      git(['-C', rebaseDir, 'rebase', '--abort']);
+      if (conflicts.length > 0) {
+        return {
+          ok: false,
+          conflicts,
+          resolution: [
+            `The rebase was aborted; nothing was merged into '${targetBranch}'`,
+            `1. Rebase the branch yourself: git rebase ${targetBranch} (in the worktree of '${branchName}')`,
+            '2. Fix the conflicts, then: git add <file> && git rebase --continue',
+            '3. Run the merge again',
+          ],
+        };
+      }
+      return failure(rebase);
+    }
+  } finally {
+    if (tempDir) {
+      git(['worktree', 'remove', '--force', rebaseDir]);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  const fastForward = git(['merge', '--ff-only', branchName], { stdio: 'inherit' });
+  return fastForward.ok ? { ok: true, conflicts: [] } : failure(fastForward);
+}
+
+/**
+ * Merge a branch into the branch checked out in the current directory
+ * @param {string} branchName - Branch to merge
+ * @param {string} targetBranch - Branch checked out in the current directory
+ * @param {object} options
+ * @param {'merge'|'squash'|'rebase'|'ff-only'} options.strategy - How to merge
+ * @param {string} [options.message] - Message of the merge commit; git's default when omitted
+ * @param {boolean} [options.edit] - Open the editor on the generated squash message
+ * @returns {{ok: boolean, conflicts: string[], resolution?: string[], error?: string}}
+ *   Conflicted files and the steps to resolve them, or an error message
+ */
+export default function mergeBranch(branchName, targetBranch, options) {
+  const cwd = process.cwd();
+
+  switch (options.strategy) {
+    case 'squash':
+      return squashMerge(branchName, targetBranch, options);
+    case 'rebase':
+      return rebaseMerge(branchName, targetBranch);
+    case 'ff-only': {
+      const result = git(['merge', '--ff-only', branchName], { stdio: 'inherit' });
+      if (!result.ok) {
+        return {
+          ok: false,
+          conflicts: [],
+          error: `'${branchName}' cannot be fast-forwarded onto '${targetBranch}'; rebase it first or use --rebase`,
+        };
+      }
+      return { ok: true, conflicts: [] };
+    }
+    default: {
+      const args = options.message
+        ? ['merge', branchName, '-m', options.message]
+        : ['merge', branchName, '--no-edit'];
+      const result = git(args, { stdio: 'inherit' });
+      if (result.ok) {
+        return { ok: true, conflicts: [] };
+      }
+      if (getConflictedFiles(cwd).length > 0) {
+        return conflictResult(cwd, [
+          '1. Fix the conflicts in the listed files',
+          '2. Stage the resolved files: git add <file>',
+          '3. Complete the merge: git commit',
+          '4. Or abort the merge: git merge --abort',
+        ]);
+      }
+      return failure(result);
+    }
+  }
+}
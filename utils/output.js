@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+
+/**
+ * Version of the --json and --porcelain formats. It only changes when a field is removed
+ * or changes meaning; new fields may be added without a bump.
+ */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Pick the machine-readable format requested on the command line. Colors are turned
+ * off for the rest of the run, so any error message is plain text as well.
+ * @param {object} options - Parsed command options with `json` and `porcelain` flags
+ * @returns {'json'|'porcelain'|null} Null for the normal human-readable output
+ */
+export function getOutputFormat(options = {}) {
+  if (options.json && options.porcelain) {
+    console.error('Error: --json and --porcelain cannot be used together');
+    process.exit(1);
+  }
+
+  const format = options.json ? 'json' : options.porcelain ? 'porcelain' : null;
+  if (format) {
+    chalk.level = 0;
+  }
+  return format;
+}
+
+/**
+ * Print a JSON document with the schema version as its first field
+ * @param {object} data - Fields of the document
+ */
+export function printJson(data) {
+  console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...data }, null, 2));
+}
+
+/**
+ * Print porcelain records: one per line, fields separated by tabs. Empty values are
+ * printed as `-`, and tabs or newlines inside a value are replaced by spaces.
+ * @param {Array<Array<string|number|boolean|null|undefined>>} records - Records to print
+ */
+export function printPorcelain(records) {
+  for (const record of records) {
+    const fields = record.map((value) =>
+      value === null || value === undefined || value === ''
+        ? '-'
+        : String(value).replace(/[\t\n\r]/g, ' ')
+    );
+    console.log(fields.join('\t'));
+  }
+}
+
+/**
+ * Describe a worktree for machine-readable output
+ * @param {object} worktree - Entry from getWorktrees
+ * @param {string} gitRoot - Root of the current worktree
+ * @param {object} registry - Result of readRegistry
+ * @returns {object} A Worktree record as documented in the README
+ */
+export function describeWorktree(worktree, gitRoot, registry) {
+  const branch = worktree.branch ? worktree.branch.replace('refs/heads/', '') : null;
+  const entry = branch ? registry.worktrees[branch] : null;
+
+  return {
+    path: worktree.path,
+    name: path.basename(worktree.path),
+    branch,
+    head: worktree.head || null,
+    current: worktree.path === gitRoot,
+    detached: Boolean(worktree.detached),
+    missing: !fs.existsSync(worktree.path),
+    prunable: Boolean(worktree.prunable),
+    locked: Boolean(worktree.locked),
+    task: entry
+      ? {
+          prompt: entry.prompt,
+          editor: entry.editor,
+          base: entry.base,
+          createdAt: entry.createdAt,
+          createdBy: entry.createdBy,
+          mergedAt: entry.mergedAt || null,
+          mergedInto: entry.mergedInto || null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Flags of a Worktree record for porcelain output
+ * @param {object} record - Result of describeWorktree
+ * @returns {string} Comma separated flags such as `current,prunable`, or empty
+ */
+export function worktreeFlags(record) {
+  return ['current', 'detached', 'missing', 'prunable', 'locked']
+    .filter((flag) => record[flag])
+    .join(',');
+}
+
+/**
+ * Porcelain records for the commits and files of a branch
+ * @param {{commits: object[], files: object[]}} changes - Result of getBranchChanges
+ * @returns {Array<Array<string|number|null>>} `commit` and `file` records
+ */
+export function branchChangeRecords(changes) {
+  return [
+    ...changes.commits.map((commit) => ['commit', commit.hash, commit.subject]),
+    ...changes.files.map((file) => [
+      'file',
+      file.status,
+      file.additions,
+      file.deletions,
+      file.path,
+      file.oldPath,
+    ]),
+  ];
+}
@@ -0,0 +1,36 @@
+import { git } from './run.js';
+
+/**
+ * Merge two branches in memory with `git merge-tree` to see whether they would conflict.
+ * Only commits are compared; no working tree, index or ref is touched.
+ * @param {string} ours - Branch that would be merged into
+ * @param {string} theirs - Branch that would be merged
+ * @returns {{conflicts: string[], error: string|null}} Files that would conflict, or an error
+ *   when git could not run the merge, e.g. because it is older than 2.38
+ */
+export default function predictConflicts(ours, theirs) {
+  const result = git([
+    'merge-tree',
+    '--write-tree',
+    '--name-only',
+    '--no-messages',
+    '-z',
+    ours,
+    theirs,
+  ]);
+
+  // Exit code 1 with a tree id means the merge has conflicts; any other failure prints no tree
+  if (!result.ok && (result.exitCode !== 1 || !result.stdout)) {
+    const message = result.stderr.trim() || `git merge-tree exited with code ${result.exitCode}`;
+    return {
+      conflicts: [],
+      error: /unknown option|usage:/.test(message)
+        ? 'git merge-tree --write-tree needs git 2.38 or newer'
+        : message.split('\n')[0],
+    };
+  }
+
+  // With -z the output is the tree id, then the conflicted paths, each NUL terminated
+  const [, ...paths] = result.stdout.split('\0').filter(Boolean);
+  return { conflicts: result.exitCode === 1 ? paths : [], error: null };
+}
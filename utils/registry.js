@@ -0,0 +1,87 @@
+import os from 'os';
+import { git } from './run.js';
+import { readStateFile, writeStateFile } from './stateFile.js';
+
+const REGISTRY_FILE = 'registry.json';
+
+function writeRegistry(registry) {
+  writeStateFile(REGISTRY_FILE, registry);
+}
+
+function getCurrentUser() {
+  const gitUser = git(['config', 'user.name']);
+  return gitUser.ok && gitUser.stdout.trim() ? gitUser.stdout.trim() : os.userInfo().username;
+}
+
+/**
+ * Read the session registry of the repository
+ * @returns {{version: number, worktrees: Object<string, object>}} Entries keyed by branch name
+ */
+export function readRegistry() {
+  return readStateFile(REGISTRY_FILE, { version: 1, worktrees: {} });
+}
+
+/**
+ * Get the stored metadata of a branch's worktree
+ * @param {string} branchName - Branch name without refs/heads/
+ * @returns {object|null} The entry, or null if spawn did not create this worktree
+ */
+export function getRegistryEntry(branchName) {
+  return readRegistry().worktrees[branchName] || null;
+}
+
+/**
+ * Record a newly created worktree
+ * @param {string} branchName - Branch checked out in the worktree
+ * @param {object} metadata - path, prompt, editor and base of the session
+ */
+export function recordWorktree(branchName, metadata) {
+  const registry = readRegistry();
+  registry.worktrees[branchName] = {
+    branch: branchName,
+    path: metadata.path,
+    prompt: metadata.prompt || null,
+    editor: metadata.editor || null,
+    base: metadata.base || null,
+    createdAt: new Date().toISOString(),
+    createdBy: getCurrentUser(),
+  };
+  writeRegistry(registry);
+}
+
+/**
+ * Merge new fields into an existing entry; branches spawn did not create are ignored
+ * @param {string} branchName - Branch name of the entry
+ * @param {object} fields - Fields to set, e.g. { mergedAt, mergedInto }
+ */
+export function updateRegistryEntry(branchName, fields) {
+  const registry = readRegistry();
+  if (!registry.worktrees[branchName]) return;
+  registry.worktrees[branchName] = { ...registry.worktrees[branchName], ...fields };
+  writeRegistry(registry);
+}
+
+/**
+ * Move the entry of a renamed branch to its new name
+ * @param {string} oldBranch - Previous branch name
+ * @param {string} newBranch - New branch name
+ * @param {object} [fields] - Fields to set as well, e.g. the new path
+ */
+export function renameRegistryEntry(oldBranch, newBranch, fields = {}) {
+  const registry = readRegistry();
+  if (!registry.worktrees[oldBranch]) return;
+  registry.worktrees[newBranch] = {
+    ...registry.worktrees[oldBranch],
+    ...fields,
+    branch: newBranch,
+  };
+  delete registry.worktrees[oldBranch];
+  writeRegistry(registry);
+}
+
+export function removeRegistryEntry(branchName) {
+  const registry = readRegistry();
+  if (!registry.worktrees[branchName]) return;
+  delete registry.worktrees[branchName];
+  writeRegistry(registry);
+}
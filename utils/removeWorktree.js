@@ -1,52 +1,123 @@
-import { execSync } from 'child_process';
-import path from 'path';
 import fs from 'fs';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
-import executeCommand from './executeCommand.js';
 import getGitRootDirectory from './getGitRootDirectory.js';
 import getWorktrees from './getWorktrees.js';
 import getExistingBranches from './getExistingBranches.js';
 import processDiffOutput from './processDiffOutput.js';
+import loadConfig from './loadConfig.js';
+import getMainBranch from './getMainBranch.js';
+import getWorktreePath from './getWorktreePath.js';
+import { getRegistryEntry, removeRegistryEntry } from './registry.js';
+import truncate from './truncate.js';
+import { releasePorts } from './worktreeEnv.js';
+import { git, gitOrThrow } from './run.js';
 
 function hasUncommittedChanges(worktreePath) {
-  try {
-    const result = execSync(`git -C "${worktreePath}" status --porcelain`, { encoding: 'utf8' });
-    return result.trim().length > 0;
-  } catch {
+  const result = git(['-C', worktreePath, 'status', '--porcelain']);
+  return result.ok && result.stdout.trim().length > 0;
+}
+
+function hasUnmergedCommits(branchName, mainBranch) {
+  // Squashed and rebased branches look unmerged to git, but spawn recorded their merge
+  const entry = getRegistryEntry(branchName);
+  if (entry && entry.mergedAt && (!entry.mergedInto || entry.mergedInto === mainBranch)) {
     return false;
   }
+
+  // Check if branch has commits not merged to main/master
+  const result = git(['log', `${mainBranch}..${branchName}`, '--oneline']);
+  // If the command fails, assume there might be unmerged commits
+  return !result.ok || result.stdout.trim().length > 0;
 }
 
-function hasUnmergedCommits(branchName) {
+async function confirmDiscardChanges(worktreePath) {
+  console.log(chalk.yellow(`\nWorktree has uncommitted changes at ${worktreePath}`));
+
+  // Show uncommitted files
+  console.log(chalk.blue('\nUncommitted files:'));
+  if (!git(['-C', worktreePath, 'status', '--short'], { stdio: 'inherit' }).ok) {
+    console.log(chalk.gray('Could not retrieve file list'));
+  }
+
+  // Show diff without pager
+  console.log(chalk.blue('\nUncommitted changes:'));
   try {
-    // Check if branch has commits not merged to main/master
-    const mainBranch =
-      executeCommand('git symbolic-ref refs/remotes/origin/HEAD --short')
-        ?.trim()
-        .replace('origin/', '') || 'main';
-    const result = execSync(`git log ${mainBranch}..${branchName} --oneline`, { encoding: 'utf8' });
-    return result.trim().length > 0;
+    const diffOutput = gitOrThrow([
+      '-C',
+      worktreePath,
+      '--no-pager',
+      'diff',
+      '--color=always',
+    ]).stdout;
+
+    console.log(processDiffOutput(diffOutput, 300));
+
+    // Also show staged changes if any
+    const stagedDiff = gitOrThrow([
+      '-C',
+      worktreePath,
+      '--no-pager',
+      'diff',
+      '--cached',
+      '--color=always',
+    ]).stdout;
+
+    if (stagedDiff.trim()) {
+      console.log(chalk.blue('\nStaged changes:'));
+      console.log(processDiffOutput(stagedDiff, 300));
+    }
   } catch {
-    // If the command fails, assume there might be unmerged commits
-    return true;
+    console.log(chalk.gray('Could not generate diff'));
   }
+
+  // Ask if user wants to force remove
+  const { forceRemove } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'forceRemove',
+      message: chalk.red(
+        'Do you want to delete these uncommitted changes and remove the worktree anyway?'
+      ),
+      default: false,
+    },
+  ]);
+
+  return forceRemove;
 }
 
+/**
+ * Remove the worktree of a branch and, if it is safe or confirmed, the branch itself
+ * @param {string} branchName - Branch whose worktree to remove
+ * @param {object} [options]
+ * @param {boolean} [options.forceDeleteBranch] - Delete the branch without asking, even when it
+ *   looks unmerged because it was squashed or rebased into the main branch
+ * @param {boolean} [options.interactive] - Ask before discarding changes or unmerged commits;
+ *   when false, dirty worktrees and unmerged branches are kept unless `discardChanges` is set
+ * @param {boolean} [options.discardChanges] - Without prompts, remove a worktree with
+ *   uncommitted changes anyway
+ * @returns {Promise<boolean>} True if the worktree or branch was removed
+ */
 export async function removeWorktree(branchName, options = {}) {
-  const { forceDeleteBranch = false } = options;
+  const { forceDeleteBranch = false, interactive = true, discardChanges = false } = options;
   const worktrees = getWorktrees();
   const gitRoot = getGitRootDirectory();
-  const repoName = path.basename(gitRoot);
+  const config = loadConfig();
+  const expectedPath = getWorktreePath(gitRoot, branchName, config);
 
   // Find worktree for this branch
   const worktree = worktrees.find((wt) => {
     const wtBranch = wt.branch ? wt.branch.replace('refs/heads/', '') : null;
-    return wtBranch === branchName || path.basename(wt.path) === `${repoName}-${branchName}`;
+    return wtBranch === branchName || wt.path === expectedPath;
   });
 
   let worktreeRemoved = false;
 
+  const entry = getRegistryEntry(branchName);
+  if (entry && entry.prompt) {
+    console.log(chalk.gray(`Task: ${truncate(entry.prompt, 80)}`));
+  }
+
   if (worktree) {
     // Check if this is the current worktree
     if (worktree.path === gitRoot) {
@@ -56,61 +127,22 @@ export async function removeWorktree(branchName, options = {}) {
 
     // Check for uncommitted changes
     if (fs.existsSync(worktree.path) && hasUncommittedChanges(worktree.path)) {
-      console.log(chalk.yellow(`\nWorktree has uncommitted changes at ${worktree.path}`));
-
-      // Show uncommitted files
-      console.log(chalk.blue('\nUncommitted files:'));
-      try {
-        execSync(`git -C "${worktree.path}" status --short`, { stdio: 'inherit' });
-      } catch {
-        console.log(chalk.gray('Could not retrieve file list'));
-      }
-
-      // Show diff without pager
-      console.log(chalk.blue('\nUncommitted changes:'));
-      try {
-        const diffOutput = execSync(
-          `git -C "${worktree.path}" --no-pager diff --color=always`,
-          { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 } // 10MB buffer
+      const discard = interactive ? await confirmDiscardChanges(worktree.path) : discardChanges;
+      if (!discard) {
+        console.log(
+          chalk.gray(
+            interactive
+              ? 'Removal cancelled.'
+              : `Keeping ${worktree.path}: it has uncommitted changes`
+          )
         );
-
-        console.log(processDiffOutput(diffOutput, 300));
-
-        // Also show staged changes if any
-        const stagedDiff = execSync(
-          `git -C "${worktree.path}" --no-pager diff --cached --color=always`,
-          { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 }
-        );
-
-        if (stagedDiff.trim()) {
-          console.log(chalk.blue('\nStaged changes:'));
-          console.log(processDiffOutput(stagedDiff, 300));
-        }
-      } catch {
-        console.log(chalk.gray('Could not generate diff'));
-      }
-
-      // Ask if user wants to force remove
-      const { forceRemove } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'forceRemove',
-          message: chalk.red(
-            'Do you want to delete these uncommitted changes and remove the worktree anyway?'
-          ),
-          default: false,
-        },
-      ]);
-
-      if (!forceRemove) {
-        console.log(chalk.gray('Removal cancelled.'));
         return false;
       }
     }
 
     console.log(chalk.yellow(`Removing worktree at ${worktree.path}...`));
     try {
-      execSync(`git worktree remove "${worktree.path}" --force`, { stdio: 'inherit' });
+      gitOrThrow(['worktree', 'remove', worktree.path, '--force'], { stdio: 'inherit' });
       console.log(chalk.green('✅ Worktree removed successfully'));
       worktreeRemoved = true;
     } catch (error) {
@@ -126,7 +158,11 @@ export async function removeWorktree(branchName, options = {}) {
     let userConfirmed = false;
 
     // Check for unmerged commits
-    if (hasUnmergedCommits(branchName)) {
+    const unmerged = !forceDeleteBranch && hasUnmergedCommits(branchName, getMainBranch(config));
+    if (unmerged && !interactive) {
+      console.log(chalk.yellow(`Keeping branch '${branchName}': it has unmerged commits`));
+      shouldDeleteBranch = false;
+    } else if (unmerged) {
       console.log(chalk.yellow(`\nBranch '${branchName}' has unmerged commits.`));
       const { confirmDelete } = await inquirer.prompt([
         {
@@ -161,7 +197,7 @@ export async function removeWorktree(branchName, options = {}) {
       if (shouldDeleteBranch) {
         console.log(chalk.yellow(`Deleting branch ${branchName}...`));
         try {
-          execSync(`git branch -D "${branchName}"`, { stdio: 'inherit' });
+          gitOrThrow(['branch', '-D', branchName], { stdio: 'inherit' });
           console.log(chalk.green('✅ Branch deleted successfully'));
         } catch (error) {
           console.error(chalk.red(`Failed to delete branch: ${error.message}`));
@@ -175,5 +211,7 @@ export async function removeWorktree(branchName, options = {}) {
     return false;
   }
 
+  removeRegistryEntry(branchName);
+  releasePorts(branchName);
   return true;
 }
@@ -0,0 +1,41 @@
+import chalk from 'chalk';
+
+// eslint-disable-next-line no-control-regex
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Length of a string as displayed in the terminal, ignoring ANSI color codes
+ * @param {string} text - Possibly colored text
+ * @returns {number} Visible length
+ */
+export function visibleLength(text) {
+  return String(text).replace(ANSI_PATTERN, '').length;
+}
+
+function pad(text, width) {
+  return `${text}${' '.repeat(Math.max(0, width - visibleLength(text)))}`;
+}
+
+/**
+ * Render rows as an aligned table with a header line
+ * @param {string[]} headers - Column titles
+ * @param {string[][]} rows - Cell values, which may contain chalk colors
+ * @returns {string} The table, ready to print
+ */
+export default function renderTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(visibleLength(header), ...rows.map((row) => visibleLength(row[column] ?? '')))
+  );
+
+  const formatRow = (cells) =>
+    cells
+      .map((cell, column) => pad(String(cell ?? ''), widths[column]))
+      .join('  ')
+      .trimEnd();
+
+  return [
+    chalk.bold(formatRow(headers)),
+    chalk.gray(widths.map((width) => '─'.repeat(width)).join('  ')),
+    ...rows.map(formatRow),
+  ].join('\n');
+}
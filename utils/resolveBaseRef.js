@@ -0,0 +1,39 @@
+import { git } from './run.js';
+
+function verifyCommit(ref) {
+  const result = git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  return result.ok ? result.stdout.trim() : null;
+}
+
+/**
+ * Resolve a branch, tag or commit to start a new worktree from
+ * @param {string} ref - Ref given by the user; a bare branch name also matches origin/<ref>
+ * @returns {{ref: string, commit: string, isRemoteBranch: boolean} | null} Null if the ref is unknown
+ */
+export default function resolveBaseRef(ref) {
+  // A leading dash would be read as an option by git, and no ref name starts with one
+  if (ref.startsWith('-')) {
+    return null;
+  }
+
+  let resolvedRef = ref;
+  let commit = verifyCommit(ref);
+
+  // Fall back to the remote branch when there is no local ref with that name
+  if (!commit && !ref.startsWith('origin/')) {
+    commit = verifyCommit(`origin/${ref}`);
+    resolvedRef = `origin/${ref}`;
+  }
+
+  if (!commit) {
+    return null;
+  }
+
+  const fullName = git(['rev-parse', '--symbolic-full-name', resolvedRef]);
+
+  return {
+    ref: resolvedRef,
+    commit,
+    isRemoteBranch: fullName.ok && fullName.stdout.trim().startsWith('refs/remotes/'),
+  };
+}
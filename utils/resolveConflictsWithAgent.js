@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import getGitRootDirectory from './getGitRootDirectory.js';
+import launchEditor from './launchEditor.js';
+import { getLauncher } from './launchers.js';
+import { buildSquashMessage } from './mergeBranch.js';
+import { git } from './run.js';
+
+const MAX_COMMITS = 20;
+// Markers git writes into conflicted files; diff3 style adds the ||||||| section. A bare
+// ======= is left out: it also underlines headings, and in a real conflict it sits between
+// markers that are found anyway.
+const MARKER_PATTERN = /^(<{7}|>{7}|\|{7})( |$)/m;
+
+function getCommitSummaries(from, to) {
+  const result = git(['log', '--oneline', '--no-decorate', `-${MAX_COMMITS}`, `${from}..${to}`]);
+  return result.ok ? result.stdout.trim().split('\n').filter(Boolean) : [];
+}
+
+function getSubjects(from, to) {
+  return git(['log', '--reverse', '--format=%s', `${from}..${to}`])
+    .stdout.split('\n')
+    .filter(Boolean);
+}
+
+function hasSquashInProgress() {
+  const squashMsg = git(['rev-parse', '--git-path', 'SQUASH_MSG']).stdout.trim();
+  return Boolean(squashMsg) && fs.existsSync(path.resolve(squashMsg));
+}
+
+/**
+ * Write the prompt that asks an agent to resolve a conflicted merge
+ * @param {object} merge
+ * @param {string} merge.branchName - Branch being merged
+ * @param {string} merge.currentBranch - Branch being merged into
+ * @param {string[]} merge.conflicts - Conflicted files
+ * @param {string[]} merge.ourCommits - Summaries of the commits only the current branch has
+ * @param {string[]} merge.theirCommits - Summaries of the commits only the merged branch has
+ * @returns {string} The prompt
+ */
+export function buildConflictPrompt({
+  branchName,
+  currentBranch,
+  conflicts,
+  ourCommits,
+  theirCommits,
+}) {
+  const list = (lines) =>
+    lines.length > 0 ? lines.map((line) => `- ${line}`).join('\n') : '- (none)';
+
+  return [
+    `Merging the branch '${branchName}' into '${currentBranch}' stopped with conflicts.`,
+    '',
+    'Conflicted files:',
+    list(conflicts),
+    '',
+    `Commits on '${currentBranch}' since the branches split:`,
+    list(ourCommits),
+    '',
+    `Commits on '${branchName}' being merged:`,
+    list(theirCommits),
+    '',
+    'Resolve every conflict so that the intent of both branches is kept. Remove all conflict ' +
+      'markers, make sure the code still builds and its tests pass, then stage the resolved ' +
+      'files with git add. Do not commit and do not abort the merge; the merge commit is ' +
+      'completed after you finish.',
+  ].join('\n');
+}
+
+/**
+ * Find the files that still contain conflict markers
+ * @param {string[]} files - Paths relative to the worktree root
+ * @param {string} root - Worktree root
+ * @returns {string[]} Files with markers left; deleted files are skipped
+ */
+export function findConflictMarkers(files, root) {
+  return files.filter((file) => {
+    const filePath = path.join(root, file);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      return false;
+    }
+    return MARKER_PATTERN.test(fs.readFileSync(filePath, 'utf8'));
+  });
+}
+
+/**
+ * Launch the configured agent on a conflicted merge in the current worktree and, once it
+ * exits without leaving conflict markers behind, offer to complete the merge commit
+ * @param {string} branchName - Branch being merged
+ * @param {string} currentBranch - Branch being merged into
+ * @param {string[]} conflicts - Conflicted files
+ * @param {object} config - Spawn config; `editor` is the agent that is launched
+ * @param {object} [options]
+ * @param {boolean} [options.edit] - Open the editor on a squash commit's generated message
+ * @returns {Promise<boolean>} True if the merge commit was made
+ */
+export default async function resolveConflictsWithAgent(
+  branchName,
+  currentBranch,
+  conflicts,
+  config,
+  options = {}
+) {
+  let launcher;
+  try {
+    launcher = getLauncher(config.editor, config);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    return false;
+  }
+  if (!launcher.promptArgs) {
+    console.error(chalk.red(`Error: ${config.editor} does not accept a prompt`));
+    console.log(chalk.yellow('Set "editor" in the config to an agent such as claude'));
+    return false;
+  }
+
+  const mergeBase = git(['merge-base', 'HEAD', branchName]).stdout.trim();
+  const prompt = buildConflictPrompt({
+    branchName,
+    currentBranch,
+    conflicts,
+    ourCommits: mergeBase ? getCommitSummaries(mergeBase, 'HEAD') : [],
+    theirCommits: mergeBase ? getCommitSummaries(mergeBase, branchName) : [],
+  });
+
+  const gitRoot = getGitRootDirectory();
+  const head = git(['rev-parse', 'HEAD']).stdout.trim();
+  const launched = launchEditor(
+    {
+      editor: config.editor,
+      prompt,
+      dangerouslySkipPermissions: config.dangerouslySkipPermissions,
+      config,
+    },
+    gitRoot
+  );
+  if (!launched) {
+    return false;
+  }
+
+  // The agent may have committed or aborted the merge itself
+  const squashing = hasSquashInProgress();
+  if (!git(['rev-parse', '--verify', '--quiet', 'MERGE_HEAD']).ok && !squashing) {
+    console.log(chalk.yellow('\nThe merge is no longer in progress; nothing to complete.'));
+    return git(['rev-parse', 'HEAD']).stdout.trim() !== head;
+  }
+
+  const remaining = findConflictMarkers(conflicts, gitRoot);
+  if (remaining.length > 0) {
+    console.error(chalk.red('\nConflict markers are still present in:'));
+    remaining.forEach((file) => console.log(chalk.red(`  • ${file}`)));
+    return false;
+  }
+
+  console.log(chalk.green('\n✅ No conflict markers left'));
+  // -A stages deletions too, for conflicts the agent resolved by removing a file
+  if (!git(['add', '-A', '--', ...conflicts]).ok) {
+    console.error(chalk.red('Error: Could not stage the resolved files'));
+    return false;
+  }
+  git(['--no-pager', 'diff', '--cached', '--stat', '--color=always'], { stdio: 'inherit' });
+
+  const { completeMerge } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'completeMerge',
+      message: 'Complete the merge commit with these resolutions?',
+      default: true,
+    },
+  ]);
+  if (!completeMerge) {
+    console.log(chalk.gray('The merge is left in progress. Finish it with: git commit'));
+    return false;
+  }
+
+  // A squash gets the same generated message as one that merged without conflicts
+  const commitArgs = squashing
+    ? [
+        'commit',
+        options.edit ? '--edit' : '--no-edit',
+        '-m',
+        buildSquashMessage(branchName, getSubjects('HEAD', branchName)),
+      ]
+    : ['commit', '--no-edit'];
+  if (!git(commitArgs, { stdio: 'inherit' }).ok) {
+    console.error(chalk.red('Error: Could not complete the merge commit'));
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,23 @@
+import { mergeConfig } from './loadConfig.js';
+
+/**
+ * Apply the config file defaults to options given on the command line or in a manifest.
+ * Explicit options win; `editor: false` (from --no-editor) disables the editor and
+ * `tmux` falls back to the configured `sessionMode`, and `deps` overrides the configured
+ * dependency strategy.
+ * @param {object} options - Options as parsed by commander
+ * @param {object} config - Spawn config from loadConfig
+ * @returns {object} Options with defaults filled in and the config attached
+ */
+export default function resolveSessionOptions(options, config) {
+  return {
+    ...options,
+    editor: options.editor === false ? false : options.editor || config.editor,
+    dangerouslySkipPermissions:
+      options.dangerouslySkipPermissions ?? config.dangerouslySkipPermissions,
+    tmux: options.tmux ?? config.sessionMode === 'tmux',
+    config: options.deps
+      ? mergeConfig(config, { dependencies: { strategy: options.deps } })
+      : config,
+  };
+}
@@ -0,0 +1,58 @@
+import { spawnSync } from 'child_process';
+
+const MAX_BUFFER = 1024 * 1024 * 10; // 10MB
+
+/**
+ * Run a program with an argument list. Arguments are passed to the program as-is and
+ * never go through a shell, so branch names, prompts and commit messages cannot inject
+ * commands.
+ * @param {string} command - Program to run, looked up in PATH
+ * @param {string[]} [args] - Arguments for the program
+ * @param {object} [options] - spawnSync options such as cwd, env, input or stdio
+ * @returns {{stdout: string, stderr: string, exitCode: number|null, ok: boolean, error: Error|null}}
+ *   exitCode is null when the program could not be started or was killed by a signal
+ */
+export default function run(command, args = [], options = {}) {
+  const result = spawnSync(command, args, {
+    encoding: 'utf8',
+    maxBuffer: MAX_BUFFER,
+    ...options,
+    shell: false,
+  });
+
+  return {
+    stdout: result.stdout ?? '',
+    stderr: result.stderr ?? '',
+    exitCode: result.status,
+    ok: !result.error && result.status === 0,
+    error: result.error || null,
+  };
+}
+
+/**
+ * Run a git command, see run
+ * @param {string[]} args - Arguments after `git`
+ * @param {object} [options] - spawnSync options
+ * @returns {{stdout: string, stderr: string, exitCode: number|null, ok: boolean, error: Error|null}}
+ */
+export function git(args, options = {}) {
+  return run('git', args, options);
+}
+
+/**
+ * Run a git command and throw if it fails, for callers that handle errors with try/catch
+ * @param {string[]} args - Arguments after `git`
+ * @param {object} [options] - spawnSync options
+ * @returns {{stdout: string, stderr: string, exitCode: number, ok: boolean, error: null}}
+ * @throws {Error} With git's error output, and the full result attached as `error.result`
+ */
+export function gitOrThrow(args, options = {}) {
+  const result = git(args, options);
+  if (!result.ok) {
+    const message = result.stderr.trim() || `git ${args[0]} exited with code ${result.exitCode}`;
+    const error = new Error(message);
+    error.result = result;
+    throw error;
+  }
+  return result;
+}
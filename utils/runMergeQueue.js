@@ -0,0 +1,119 @@
+import { execSync } from 'child_process';
+import chalk from 'chalk';
+import findWorktreeForBranch from './findWorktreeForBranch.js';
+import getBranchAheadBehind from './getBranchAheadBehind.js';
+import getGitRootDirectory from './getGitRootDirectory.js';
+import mergeBranch from './mergeBranch.js';
+import { updateRegistryEntry } from './registry.js';
+import { readWorktreeEnv } from './worktreeEnv.js';
+import { git, gitOrThrow } from './run.js';
+
+function runVerify(command, cwd, config) {
+  console.log(chalk.blue(`Verifying: ${command}`));
+  try {
+    execSync(command, {
+      cwd,
+      stdio: 'inherit',
+      shell: true,
+      env: { ...process.env, ...readWorktreeEnv(cwd, config) },
+    });
+    return null;
+  } catch (error) {
+    return `${command} failed with exit code ${error.status ?? 'unknown'}`;
+  }
+}
+
+/**
+ * Point a branch back at a commit after a rebase rewrote it, resetting its worktree too
+ * when the branch is checked out
+ */
+function restoreBranch(branchName, sha) {
+  if (git(['rev-parse', branchName]).stdout.trim() === sha) return;
+
+  const worktree = findWorktreeForBranch(branchName);
+  if (worktree) {
+    git(['-C', worktree.path, 'reset', '--hard', '--quiet', sha]);
+  } else {
+    git(['update-ref', `refs/heads/${branchName}`, sha]);
+  }
+}
+
+function landBranch(branchName, currentBranch, config, options) {
+  const branchInfo = getBranchAheadBehind(branchName, currentBranch);
+  if (branchInfo && branchInfo.ahead === 0) {
+    return { status: 'up to date', details: 'nothing to merge' };
+  }
+
+  const before = gitOrThrow(['rev-parse', 'HEAD']).stdout.trim();
+  const branchBefore = gitOrThrow(['rev-parse', branchName]).stdout.trim();
+  // Resets the current branch, clears any half-done merge left by this step and undoes
+  // the rebase of the merged branch
+  const rollBack = () => {
+    git(['reset', '--hard', '--quiet', before]);
+    restoreBranch(branchName, branchBefore);
+  };
+
+  const result = mergeBranch(branchName, currentBranch, {
+    strategy: options.strategy,
+    message: `Merge branch '${branchName}' into ${currentBranch}`,
+    edit: false,
+  });
+  if (!result.ok) {
+    rollBack();
+    return result.conflicts.length > 0
+      ? { status: 'conflicted', details: result.conflicts.join(', ') }
+      : { status: 'failed', details: result.error.split('\n')[0] };
+  }
+
+  if (options.verify) {
+    const failure = runVerify(options.verify, getGitRootDirectory(), config);
+    if (failure) {
+      rollBack();
+      return { status: 'failed', details: failure };
+    }
+  }
+
+  updateRegistryEntry(branchName, {
+    mergedAt: new Date().toISOString(),
+    mergedInto: currentBranch,
+  });
+  const merged = branchInfo ? `${branchInfo.ahead} commit(s)` : 'merged';
+  return { status: 'landed', details: options.verify ? `${merged}, verified` : merged };
+}
+
+/**
+ * Merge branches into the current branch one after another. After each merge the verify
+ * command runs; the first conflict or failed verification is rolled back and stops the queue.
+ * @param {string[]} branches - Branches to merge, in order
+ * @param {string} currentBranch - Branch checked out here, with no uncommitted changes
+ * @param {object} config - Spawn config
+ * @param {object} options
+ * @param {'merge'|'squash'|'rebase'|'ff-only'} options.strategy - See mergeBranch
+ * @param {string|null} options.verify - Shell command run in this worktree after each merge
+ * @returns {Array<{branch: string, status: string, details: string}>} One result per branch;
+ *   branches after the one that stopped the queue are `waiting`
+ */
+export default function runMergeQueue(branches, currentBranch, config, options) {
+  const results = [];
+  let stopped = false;
+
+  branches.forEach((branchName, index) => {
+    if (stopped) {
+      results.push({ branch: branchName, status: 'waiting', details: '' });
+      return;
+    }
+
+    console.log(
+      chalk.cyan.bold(`\n[${index + 1}/${branches.length}] Merging ${branchName}`) +
+        chalk.gray(` into ${currentBranch}`)
+    );
+    const result = landBranch(branchName, currentBranch, config, options);
+    if (result.status === 'conflicted' || result.status === 'failed') {
+      console.log(chalk.red(`Rolled back ${branchName}: ${result.details}`));
+      stopped = true;
+    }
+    results.push({ branch: branchName, ...result });
+  });
+
+  return results;
+}
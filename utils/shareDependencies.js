@@ -0,0 +1,190 @@
+import { execSync } from 'child_process';
+import path from 'path';
+import fs from 'fs';
+import chalk from 'chalk';
+
+export const DEPENDENCY_STRATEGIES = ['none', 'reflink', 'hardlink', 'install'];
+
+// Strategy of a bare --deps; hardlinks share files with the main worktree, so they must be asked for
+export const DEFAULT_SHARE_STRATEGY = 'reflink';
+
+// Install command used when the lockfile differs, keyed by the lockfile that is present
+const INSTALL_COMMANDS = {
+  'package-lock.json': 'npm ci',
+  'yarn.lock': 'yarn install --frozen-lockfile',
+  'pnpm-lock.yaml': 'pnpm install --frozen-lockfile',
+  'bun.lock': 'bun install --frozen-lockfile',
+  'bun.lockb': 'bun install --frozen-lockfile',
+};
+
+/**
+ * Check whether two worktrees have identical lockfiles
+ * @param {string} sourceRoot - Worktree the dependencies would be shared from
+ * @param {string} targetRoot - New worktree
+ * @param {string[]} lockfiles - Lockfile paths relative to the worktree roots
+ * @returns {boolean} True if at least one lockfile exists and every lockfile present in
+ *   either worktree has the same content in both
+ */
+export function lockfilesMatch(sourceRoot, targetRoot, lockfiles) {
+  let compared = 0;
+  for (const lockfile of lockfiles) {
+    const sourcePath = path.join(sourceRoot, lockfile);
+    const targetPath = path.join(targetRoot, lockfile);
+    const inSource = fs.existsSync(sourcePath);
+    const inTarget = fs.existsSync(targetPath);
+
+    if (!inSource && !inTarget) continue;
+    if (inSource !== inTarget) return false;
+    if (!fs.readFileSync(sourcePath).equals(fs.readFileSync(targetPath))) return false;
+    compared++;
+  }
+  return compared > 0;
+}
+
+function hardlinkTree(sourcePath, targetPath) {
+  const stat = fs.lstatSync(sourcePath);
+
+  if (stat.isDirectory() && path.basename(sourcePath) === '.cache') {
+    // Tools write their caches in place, so each worktree gets its own copy
+    fs.cpSync(sourcePath, targetPath, { recursive: true, verbatimSymlinks: true });
+  } else if (stat.isSymbolicLink()) {
+    // Keep links such as node_modules/.bin entries pointing where they did
+    fs.symlinkSync(fs.readlinkSync(sourcePath), targetPath);
+  } else if (stat.isDirectory()) {
+    fs.mkdirSync(targetPath, { mode: stat.mode });
+    for (const entry of fs.readdirSync(sourcePath)) {
+      hardlinkTree(path.join(sourcePath, entry), path.join(targetPath, entry));
+    }
+  } else {
+    fs.linkSync(sourcePath, targetPath);
+  }
+}
+
+/**
+ * Populate a directory in the new worktree from the same directory in another worktree.
+ * Reflinks are copy-on-write clones (a plain copy where the filesystem can't clone), so the
+ * source is never written to. Hardlinks share file contents with the source: writing to a
+ * linked file in place changes it in both worktrees.
+ * @param {string} sourcePath - Directory to share from
+ * @param {string} targetPath - Directory to create; must not exist yet
+ * @param {'hardlink' | 'reflink'} strategy - How files are shared
+ */
+export function linkTree(sourcePath, targetPath, strategy) {
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  if (strategy === 'hardlink') {
+    hardlinkTree(sourcePath, targetPath);
+  } else {
+    fs.cpSync(sourcePath, targetPath, {
+      recursive: true,
+      verbatimSymlinks: true,
+      mode: fs.constants.COPYFILE_FICLONE,
+    });
+  }
+}
+
+/**
+ * Pick the command that installs dependencies from scratch
+ * @param {string} worktreePath - Worktree to install in
+ * @param {object} dependencies - `dependencies` section of the config
+ * @returns {string|null} The configured command, or the one for the first lockfile present
+ */
+export function getInstallCommand(worktreePath, dependencies) {
+  if (dependencies.install) {
+    return dependencies.install;
+  }
+  const lockfile = (dependencies.lockfiles || []).find(
+    (file) => INSTALL_COMMANDS[path.basename(file)] && fs.existsSync(path.join(worktreePath, file))
+  );
+  return lockfile ? INSTALL_COMMANDS[path.basename(lockfile)] : null;
+}
+
+function installDependencies(worktreePath, dependencies) {
+  const command = getInstallCommand(worktreePath, dependencies);
+  if (!command) {
+    console.error(chalk.yellow('  No lockfile found and no install command configured'));
+    return false;
+  }
+
+  console.log(chalk.white(`  Running: ${command}`));
+  try {
+    execSync(command, { cwd: worktreePath, stdio: 'inherit', shell: true });
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`  Command failed with exit code ${error.status ?? 'unknown'}`));
+    return false;
+  }
+}
+
+/**
+ * Give a new worktree its dependencies without a full install where possible. With the
+ * `hardlink` or `reflink` strategy the configured directories are shared from the main
+ * worktree when the lockfiles match; otherwise, and with the `install` strategy, the
+ * install command runs in the new worktree.
+ * @param {string} worktreePath - Path of the new worktree
+ * @param {object} config - Spawn config; reads `dependencies`
+ * @param {string|null} sourceRoot - Main worktree to share from
+ * @returns {boolean} True if the dependencies were shared or installed
+ */
+export default function shareDependencies(worktreePath, config, sourceRoot) {
+  const dependencies = config.dependencies || {};
+  const { strategy = 'none', directories = [], lockfiles = [] } = dependencies;
+
+  if (strategy === 'none') {
+    return true;
+  }
+  if (!DEPENDENCY_STRATEGIES.includes(strategy)) {
+    console.error(
+      chalk.red(
+        `  Unknown dependency strategy '${strategy}'. Use one of: ${DEPENDENCY_STRATEGIES.join(', ')}`
+      )
+    );
+    return false;
+  }
+
+  if (strategy === 'install') {
+    console.log(chalk.white('Installing dependencies'));
+    return installDependencies(worktreePath, dependencies);
+  }
+
+  if (!sourceRoot || sourceRoot === worktreePath) {
+    console.log(chalk.yellow('Main worktree not found, installing dependencies instead'));
+    return installDependencies(worktreePath, dependencies);
+  }
+  if (!lockfilesMatch(sourceRoot, worktreePath, lockfiles)) {
+    console.log(chalk.yellow('Lockfile differs from the main worktree, installing dependencies'));
+    return installDependencies(worktreePath, dependencies);
+  }
+
+  const verb = strategy === 'hardlink' ? 'Hardlinking' : 'Cloning';
+  if (strategy === 'hardlink') {
+    console.log(
+      chalk.yellow(
+        'Hardlinked files are shared: editing one in place changes the main worktree too'
+      )
+    );
+  }
+  for (const directory of directories) {
+    const sourcePath = path.join(sourceRoot, directory);
+    const targetPath = path.join(worktreePath, directory);
+
+    console.log(chalk.white(`${verb} ${directory} from the main worktree`));
+    if (!fs.existsSync(sourcePath)) {
+      console.log(chalk.yellow('  Skipped: not found in the main worktree'));
+      continue;
+    }
+    if (fs.existsSync(targetPath)) {
+      console.log(chalk.gray('  Skipped: already exists in the new worktree'));
+      continue;
+    }
+
+    try {
+      linkTree(sourcePath, targetPath, strategy);
+    } catch (error) {
+      // Hardlinks can't cross filesystems; drop the partial tree (never the source) and install
+      console.error(chalk.yellow(`  Could not share ${directory}: ${error.message}`));
+      fs.rmSync(targetPath, { recursive: true, force: true });
+      return installDependencies(worktreePath, dependencies);
+    }
+  }
+  return true;
+}
@@ -0,0 +1,12 @@
+/**
+ * Quote an argument for a POSIX shell, e.g. for a command string handed to tmux
+ * @param {string} value - Argument to quote
+ * @returns {string} The argument, single-quoted unless it only has safe characters
+ */
+export default function shellQuote(value) {
+  const text = String(value);
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(text)) {
+    return text;
+  }
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+import getSpawnStateDir from './getSpawnStateDir.js';
+
+function getStateFilePath(fileName) {
+  const stateDir = getSpawnStateDir();
+  return stateDir ? path.join(stateDir, fileName) : null;
+}
+
+/**
+ * Read a JSON file from the spawn state directory
+ * @param {string} fileName - File name inside <git-common-dir>/spawn
+ * @param {object} defaults - Returned when the file is missing or unreadable, and
+ *   merged under the stored fields otherwise
+ * @returns {object} Parsed file contents
+ */
+export function readStateFile(fileName, defaults) {
+  const filePath = getStateFilePath(fileName);
+  try {
+    return { ...defaults, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch {
+    return { ...defaults };
+  }
+}
+
+/**
+ * Write a JSON file to the spawn state directory; does nothing outside a repository
+ * @param {string} fileName - File name inside <git-common-dir>/spawn
+ * @param {object} data - Contents to store
+ */
+export function writeStateFile(fileName, data) {
+  const filePath = getStateFilePath(fileName);
+  if (!filePath) return;
+
+  // Write to a temporary file first so a concurrent reader never sees a partial file
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmpPath, filePath);
+}
@@ -0,0 +1,82 @@
+import path from 'path';
+import run from './run.js';
+
+const SESSION_PREFIX = 'spawn-';
+
+export function isTmuxAvailable() {
+  return run('tmux', ['-V']).ok;
+}
+
+/**
+ * Name of the tmux session that hosts the session of a worktree
+ * @param {string} worktreePath - Path of the worktree
+ * @returns {string} Session name; tmux does not allow '.' or ':' in names
+ */
+export function getSessionName(worktreePath) {
+  return `${SESSION_PREFIX}${path.basename(worktreePath)}`.replace(/[^A-Za-z0-9_-]/g, '-');
+}
+
+export function hasSession(sessionName) {
+  return run('tmux', ['has-session', '-t', `=${sessionName}`]).ok;
+}
+
+/**
+ * List the tmux sessions started by spawn
+ * @returns {{name: string, attached: boolean, createdAt: Date}[]}
+ */
+export function listSessions() {
+  const result = run('tmux', [
+    'list-sessions',
+    '-F',
+    '#{session_name}\t#{session_attached}\t#{session_created}',
+  ]);
+  if (!result.ok) return [];
+
+  return result.stdout
+    .trim()
+    .split('\n')
+    .map((line) => line.split('\t'))
+    .filter(([name]) => name && name.startsWith(SESSION_PREFIX))
+    .map(([name, attached, created]) => ({
+      name,
+      attached: Number(attached) > 0,
+      createdAt: new Date(Number(created) * 1000),
+    }));
+}
+
+/**
+ * Start a detached tmux session running a command
+ * @param {string} sessionName - Name from getSessionName
+ * @param {string} cwd - Working directory of the session
+ * @param {string} command - Shell command to run in the session
+ * @param {Object<string, string>} [env] - Extra environment variables for the session
+ */
+export function startSession(sessionName, cwd, command, env = {}) {
+  const envArgs = Object.entries(env).flatMap(([name, value]) => ['-e', `${name}=${value}`]);
+  // tmux hands the command to the user's shell, so only the outer call needs no quoting
+  const result = run('tmux', [
+    'new-session',
+    '-d',
+    '-s',
+    sessionName,
+    '-c',
+    cwd,
+    ...envArgs,
+    command,
+  ]);
+  if (!result.ok) {
+    throw new Error(result.stderr.trim() || 'Could not start tmux session');
+  }
+}
+
+/**
+ * Attach the terminal to a session, or switch to it when already inside tmux
+ * @param {string} sessionName - Session to attach to
+ * @returns {boolean} True if tmux exited successfully
+ */
+export function attachSession(sessionName) {
+  const args = process.env.TMUX
+    ? ['switch-client', '-t', `=${sessionName}`]
+    : ['attach-session', '-t', `=${sessionName}`];
+  return run('tmux', args, { stdio: 'inherit' }).ok;
+}
@@ -0,0 +1,10 @@
+/**
+ * Shorten text to a single line of at most maxLength characters
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} The shortened text
+ */
+export default function truncate(text, maxLength = 60) {
+  const singleLine = String(text).replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
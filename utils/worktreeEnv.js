@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import { git } from './run.js';
+import { readStateFile, writeStateFile } from './stateFile.js';
+
+const PORTS_FILE = 'ports.json';
+const MAX_PORT = 65535;
+
+function readPorts() {
+  return readStateFile(PORTS_FILE, { version: 1, allocations: {} });
+}
+
+/**
+ * Turn a branch name into an identifier usable in database names and the like
+ * @param {string} branchName - e.g. claude/fix-login
+ * @returns {string} e.g. claude_fix_login
+ */
+export function toEnvSlug(branchName) {
+  return branchName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Reserve a port range for a worktree. A branch keeps the range it already has, and
+ * new ranges take the lowest block that no other worktree holds.
+ * @param {string} branchName - Branch checked out in the worktree
+ * @param {string} worktreePath - Path of the worktree
+ * @param {{basePort: number, portsPerWorktree: number}} environment - `environment` config
+ * @returns {{start: number, end: number}} Inclusive port range
+ * @throws {Error} If every range up to port 65535 is taken
+ */
+export function allocatePorts(branchName, worktreePath, environment) {
+  const { basePort, portsPerWorktree } = environment;
+  const state = readPorts();
+  const existing = state.allocations[branchName];
+
+  let range = existing && existing.end - existing.start + 1 === portsPerWorktree ? existing : null;
+  if (!range) {
+    const taken = Object.entries(state.allocations)
+      .filter(([branch]) => branch !== branchName)
+      .map(([, allocation]) => allocation);
+
+    for (
+      let start = basePort;
+      start + portsPerWorktree - 1 <= MAX_PORT;
+      start += portsPerWorktree
+    ) {
+      const end = start + portsPerWorktree - 1;
+      if (!taken.some((allocation) => start <= allocation.end && allocation.start <= end)) {
+        range = { start, end };
+        break;
+      }
+    }
+  }
+
+  if (!range) {
+    throw new Error(`No free range of ${portsPerWorktree} ports left above ${basePort}`);
+  }
+
+  state.allocations[branchName] = { start: range.start, end: range.end, path: worktreePath };
+  writeStateFile(PORTS_FILE, state);
+  return { start: range.start, end: range.end };
+}
+
+/**
+ * Free the port range of a branch so a new worktree can reuse it
+ * @param {string} branchName - Branch whose worktree was removed
+ */
+export function releasePorts(branchName) {
+  const state = readPorts();
+  if (!state.allocations[branchName]) return;
+  delete state.allocations[branchName];
+  writeStateFile(PORTS_FILE, state);
+}
+
+/**
+ * Hand the port range of a renamed branch to its new name
+ * @param {string} oldBranch - Previous branch name
+ * @param {string} newBranch - New branch name
+ * @param {string} worktreePath - New path of the worktree
+ */
+export function renamePorts(oldBranch, newBranch, worktreePath) {
+  const state = readPorts();
+  if (!state.allocations[oldBranch]) return;
+  state.allocations[newBranch] = { ...state.allocations[oldBranch], path: worktreePath };
+  delete state.allocations[oldBranch];
+  writeStateFile(PORTS_FILE, state);
+}
+
+/**
+ * Get the port range currently held by a branch
+ * @param {string} branchName - Branch name without refs/heads/
+ * @returns {{start: number, end: number, path: string}|null}
+ */
+export function getPortAllocation(branchName) {
+  return readPorts().allocations[branchName] || null;
+}
+
+/**
+ * Build the environment of a worktree. Configured values may use the placeholders
+ * {branch}, {slug}, {worktree}, {port}, {portEnd} and {port+N}.
+ * @param {string} branchName - Branch checked out in the worktree
+ * @param {string} worktreePath - Path of the worktree
+ * @param {{start: number, end: number}} ports - Port range of the worktree
+ * @param {Object<string, string>} [vars] - Extra variables from the `environment.vars` config
+ * @returns {Object<string, string>} Variable names and values
+ */
+export function buildWorktreeEnv(branchName, worktreePath, ports, vars = {}) {
+  const slug = toEnvSlug(branchName);
+  const values = {
+    branch: branchName,
+    slug,
+    worktree: worktreePath,
+    port: ports.start,
+    portEnd: ports.end,
+  };
+  const fill = (template) =>
+    String(template)
+      .replace(/\{port\+(\d+)\}/g, (match, offset) => String(ports.start + Number(offset)))
+      .replace(/\{(branch|slug|worktree|port|portEnd)\}/g, (match, name) => String(values[name]));
+
+  const env = {
+    SPAWN_BRANCH: branchName,
+    SPAWN_SLUG: slug,
+    SPAWN_WORKTREE: worktreePath,
+    SPAWN_PORT_START: String(ports.start),
+    SPAWN_PORT_END: String(ports.end),
+    PORT: String(ports.start),
+  };
+  for (const [name, template] of Object.entries(vars)) {
+    env[name] = fill(template);
+  }
+  return env;
+}
+
+function formatEnvValue(value) {
+  return /^[\w.,:/@+-]*$/.test(value) ? value : JSON.stringify(value);
+}
+
+function parseEnvValue(value) {
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+// Keep the env file out of `git status` in every worktree
+function excludeEnvFile(fileName) {
+  const result = git(['rev-parse', '--git-common-dir']);
+  if (!result.ok) return;
+
+  const excludePath = path.join(path.resolve(result.stdout.trim()), 'info', 'exclude');
+  const pattern = `/${fileName}`;
+  const current = fs.existsSync(excludePath) ? fs.readFileSync(excludePath, 'utf8') : '';
+  if (current.split('\n').includes(pattern)) return;
+
+  fs.mkdirSync(path.dirname(excludePath), { recursive: true });
+  const separator = current && !current.endsWith('\n') ? '\n' : '';
+  fs.appendFileSync(excludePath, `${separator}${pattern}\n`);
+}
+
+// Resolve the configured env file, which must stay inside the worktree
+function resolveEnvFile(worktreePath, fileName) {
+  const filePath = path.resolve(worktreePath, fileName);
+  const relative = path.relative(worktreePath, filePath);
+  if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`environment.file "${fileName}" leads outside the worktree`);
+  }
+  return filePath;
+}
+
+/**
+ * Allocate ports for a new worktree and write its env file, if enabled in the config
+ * @param {string} branchName - Branch checked out in the worktree
+ * @param {string} worktreePath - Path of the worktree
+ * @param {object} config - Spawn config; reads `environment`
+ * @returns {Object<string, string>|null} The written variables, or null when disabled
+ * @throws {Error} If `environment.file` leads outside the worktree
+ */
+export function setupWorktreeEnv(branchName, worktreePath, config) {
+  const environment = config.environment || {};
+  if (!environment.enabled) {
+    return null;
+  }
+
+  const envFilePath = resolveEnvFile(worktreePath, environment.file);
+  const ports = allocatePorts(branchName, worktreePath, environment);
+  const env = buildWorktreeEnv(branchName, worktreePath, ports, environment.vars);
+  const lines = Object.entries(env).map(([name, value]) => `${name}=${formatEnvValue(value)}`);
+
+  fs.writeFileSync(
+    envFilePath,
+    `# Generated by spawn for ${branchName}; ports ${ports.start}-${ports.end}\n${lines.join('\n')}\n`
+  );
+  excludeEnvFile(environment.file);
+  return env;
+}
+
+/**
+ * Read the env file spawn wrote into a worktree
+ * @param {string} worktreePath - Path of the worktree
+ * @param {object} config - Spawn config; reads `environment`
+ * @returns {Object<string, string>} Variables, empty when disabled or the file is missing
+ */
+export function readWorktreeEnv(worktreePath, config) {
+  const environment = config.environment || {};
+  if (!environment.enabled) {
+    return {};
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(resolveEnvFile(worktreePath, environment.file), 'utf8');
+  } catch {
+    return {};
+  }
+
+  const env = {};
+  for (const line of content.split('\n')) {
+    const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (match) {
+      env[match[1]] = parseEnvValue(match[2]);
+    }
+  }
+  return env;
+}
@@ -0,0 +1,315 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import chalk from 'chalk';
+import isGitRepository from './utils/isGitRepository.js';
+import getGitRootDirectory from './utils/getGitRootDirectory.js';
+import getCurrentBranch from './utils/getCurrentBranch.js';
+import getWorktrees from './utils/getWorktrees.js';
+import getMainBranch from './utils/getMainBranch.js';
+import loadConfig from './utils/loadConfig.js';
+import renderTable from './utils/renderTable.js';
+import getWorktreeStatus from './utils/getWorktreeStatus.js';
+import getSpawnStateDir, { getWorktreeStateDir } from './utils/getSpawnStateDir.js';
+import { formatStatusRow, statusHeaders } from './utils/formatWorktreeStatus.js';
+import { attachSession, getSessionName, isTmuxAvailable, listSessions } from './utils/tmux.js';
+import { diffCommand } from './diff.js';
+import { mergeCommand } from './merge.js';
+import { removeCommand } from './remove.js';
+
+// Filesystem events arrive in bursts while git writes refs and the index
+const DEBOUNCE_MS = 300;
+
+// Alternate screen, hidden cursor and no line wrapping while the dashboard is shown
+const ENTER_SCREEN = '\x1b[?1049h\x1b[?25l\x1b[?7l';
+const LEAVE_SCREEN = '\x1b[?7h\x1b[?25h\x1b[?1049l';
+
+// Title and table header above the rows, blank line, message and key help below
+const CHROME_LINES = 7;
+
+const KEY_HELP = [
+  ['↑/↓', 'select'],
+  ['d', 'diff'],
+  ['m', 'merge'],
+  ['a', 'attach'],
+  ['x', 'remove'],
+  ['r', 'refresh'],
+  ['q', 'quit'],
+];
+
+function collectStatuses(baseBranch) {
+  const tmuxSessions = new Set(
+    isTmuxAvailable() ? listSessions().map((session) => session.name) : []
+  );
+  return getWorktrees().map((wt) => getWorktreeStatus(wt, baseBranch, tmuxSessions));
+}
+
+/**
+ * Directories whose changes mean the dashboard is out of date: branch refs, the worktree
+ * list, the session registry, and each worktree's index, HEAD and headless status
+ */
+function getWatchedPaths(statuses) {
+  const commonDir = path.dirname(getSpawnStateDir());
+  const paths = [
+    commonDir,
+    path.join(commonDir, 'refs', 'heads'),
+    path.join(commonDir, 'worktrees'),
+    path.join(commonDir, 'spawn'),
+  ];
+  for (const status of statuses) {
+    const stateDir = status.missing ? null : getWorktreeStateDir(status.path);
+    if (stateDir) {
+      paths.push(path.dirname(stateDir), stateDir);
+    }
+  }
+  return [...new Set(paths)].filter((dir) => fs.existsSync(dir));
+}
+
+function isRelevantChange(fileName) {
+  // Lock files are renamed into place when git is done, and logs change on every line
+  return !fileName || !(fileName.endsWith('.lock') || fileName === 'headless.log');
+}
+
+function startWatchers(paths, onChange) {
+  return paths.flatMap((dir) => {
+    try {
+      const watcher = fs.watch(dir, { recursive: dir.endsWith(path.join('refs', 'heads')) });
+      watcher.on('change', (event, fileName) => {
+        if (isRelevantChange(fileName && String(fileName))) onChange();
+      });
+      // The directory of a removed worktree disappears; the next refresh drops its watcher
+      watcher.on('error', () => {});
+      return [watcher];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function renderScreen(view) {
+  const { statuses, selected, gitRoot, baseBranch, message, refreshedAt } = view;
+  const height = process.stdout.rows || 24;
+
+  const rows = statuses.map((status, index) => [
+    index === selected ? chalk.cyan('❯') : ' ',
+    ...formatStatusRow(status, status.path === gitRoot, baseBranch),
+  ]);
+  const [header, divider, ...body] = renderTable(['', ...statusHeaders(baseBranch)], rows).split(
+    '\n'
+  );
+
+  // Scroll the rows so the selection stays visible
+  const visible = Math.max(1, height - CHROME_LINES);
+  const start = Math.min(
+    Math.max(0, selected - Math.floor(visible / 2)),
+    Math.max(0, body.length - visible)
+  );
+
+  const title = `${chalk.cyan.bold('👀 spawn watch')} ${chalk.gray(
+    `${path.basename(gitRoot)} · refreshed ${refreshedAt.toLocaleTimeString()}`
+  )}`;
+  const keys = KEY_HELP.map(([key, label]) => `${chalk.bold(key)} ${chalk.gray(label)}`).join('  ');
+
+  return [
+    title,
+    '',
+    header,
+    divider,
+    ...body.slice(start, start + visible),
+    '',
+    message ? chalk.yellow(message) : chalk.gray(`${statuses.length} worktree(s)`),
+    keys,
+  ];
+}
+
+function waitForKey() {
+  return new Promise((resolve) => {
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.once('keypress', () => resolve());
+  });
+}
+
+export async function watchCommand(options = {}) {
+  if (!isGitRepository()) {
+    console.error(chalk.red('Error: Not in a git repository'));
+    process.exit(1);
+  }
+
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    console.error(chalk.red('Error: spawn watch needs an interactive terminal'));
+    console.log(chalk.yellow('Use spawn status --json or --porcelain from scripts'));
+    process.exit(1);
+  }
+
+  const interval = Number(options.interval ?? '2');
+  if (!Number.isFinite(interval) || interval <= 0) {
+    console.error(chalk.red('Error: --interval must be a positive number of seconds'));
+    process.exit(1);
+  }
+
+  const gitRoot = getGitRootDirectory();
+  const baseBranch = getMainBranch(loadConfig());
+  const view = {
+    statuses: [],
+    selected: 0,
+    gitRoot,
+    baseBranch,
+    message: '',
+    refreshedAt: new Date(),
+  };
+
+  let active = false;
+  let timer = null;
+  let debounce = null;
+  let watchers = [];
+  let watchedKey = '';
+  let finish;
+
+  const draw = () => {
+    if (!active) return;
+    const lines = renderScreen(view);
+    process.stdout.write(`\x1b[H${lines.map((line) => `${line}\x1b[K`).join('\n')}\x1b[J`);
+  };
+
+  const refresh = () => {
+    if (!active) return;
+    const selectedPath = view.statuses[view.selected]?.path;
+    view.statuses = collectStatuses(baseBranch);
+    view.refreshedAt = new Date();
+
+    const index = view.statuses.findIndex((status) => status.path === selectedPath);
+    view.selected =
+      index >= 0 ? index : Math.min(view.selected, Math.max(0, view.statuses.length - 1));
+
+    // Worktrees come and go, so the watched directories follow the list
+    const paths = getWatchedPaths(view.statuses);
+    if (paths.join('\0') !== watchedKey) {
+      watchers.forEach((watcher) => watcher.close());
+      watchers = startWatchers(paths, scheduleRefresh);
+      watchedKey = paths.join('\0');
+    }
+    draw();
+  };
+
+  const scheduleRefresh = () => {
+    clearTimeout(debounce);
+    debounce = setTimeout(refresh, DEBOUNCE_MS);
+  };
+
+  const restoreTerminal = () => {
+    if (!active) return;
+    active = false;
+    process.stdout.write(LEAVE_SCREEN);
+  };
+
+  const suspend = () => {
+    clearInterval(timer);
+    clearTimeout(debounce);
+    watchers.forEach((watcher) => watcher.close());
+    watchers = [];
+    watchedKey = '';
+    process.stdin.off('keypress', onKeypress);
+    process.stdout.off('resize', draw);
+    process.stdin.setRawMode(false);
+    restoreTerminal();
+  };
+
+  const resume = () => {
+    active = true;
+    process.stdout.write(ENTER_SCREEN);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.on('keypress', onKeypress);
+    process.stdout.on('resize', draw);
+    timer = setInterval(refresh, interval * 1000);
+    refresh();
+  };
+
+  // Hand the terminal to one of the regular commands, then come back to the dashboard
+  const runAction = async (action, { pause = true } = {}) => {
+    suspend();
+    try {
+      await action();
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+    if (pause) {
+      console.log(chalk.gray('\nPress any key to return to spawn watch'));
+      await waitForKey();
+    }
+    resume();
+  };
+
+  const handleAction = (key) => {
+    const status = view.statuses[view.selected];
+    if (!status) return null;
+    const name = path.basename(status.path);
+    const isCurrent = status.path === gitRoot;
+
+    switch (key) {
+      case 'd':
+      case 'm':
+        if (!status.branch) return `${name} has no branch to ${key === 'd' ? 'diff' : 'merge'}`;
+        if (isCurrent || status.branch === getCurrentBranch()) {
+          return 'Select another worktree to compare with the current branch';
+        }
+        return key === 'd'
+          ? runAction(() => diffCommand(status.branch))
+          : runAction(() => mergeCommand(status.branch));
+      case 'a':
+        if (!status.tmux) return `No tmux session for ${name}. Start one with: spawn --tmux`;
+        return runAction(() => attachSession(getSessionName(status.path)), { pause: false });
+      case 'x':
+        if (isCurrent) return 'Cannot remove the current worktree';
+        if (!status.branch) return `${name} has no branch; remove it with git worktree remove`;
+        return runAction(() => removeCommand(status.branch));
+      default:
+        return null;
+    }
+  };
+
+  function onKeypress(input, key = {}) {
+    view.message = '';
+    if (key.name === 'q' || key.name === 'escape' || (key.ctrl && key.name === 'c')) {
+      suspend();
+      process.stdin.pause();
+      finish();
+      return;
+    }
+
+    if (key.name === 'up' || key.name === 'k') {
+      view.selected = Math.max(0, view.selected - 1);
+    } else if (key.name === 'down' || key.name === 'j') {
+      view.selected = Math.min(view.statuses.length - 1, view.selected + 1);
+    } else if (key.name === 'r') {
+      refresh();
+      return;
+    } else {
+      const result = handleAction(key.name);
+      if (typeof result === 'string') view.message = result;
+      if (result instanceof Promise) return;
+    }
+    draw();
+  }
+
+  // Leave the alternate screen even when an action exits the process
+  process.on('exit', restoreTerminal);
+  readline.emitKeypressEvents(process.stdin);
+
+  await new Promise((resolve) => {
+    finish = resolve;
+    resume();
+  });
+  process.off('exit', restoreTerminal);
+}
+
+export function createWatchCommand(program) {
+  program
+    .command('watch')
+    .description('Live dashboard of every worktree with keys to diff, merge, attach and remove')
+    .option('--interval <seconds>', 'Seconds between refreshes', '2')
+    .action(async (options) => {
+      await watchCommand(options);
+    });
+}